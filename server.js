@@ -9,6 +9,12 @@ const { v4: uuidv4 } = require('uuid');
 const http = require('http');
 const socketIo = require('socket.io');
 const pdfParse = require('pdf-parse');
+const mammoth = require('mammoth');
+const JSZip = require('jszip');
+const {
+  Document, Packer, Paragraph, TextRun, Table, TableRow, TableCell,
+  AlignmentType, BorderStyle, ShadingType, TableBorders, WidthType
+} = require('docx');
 const { fromPath } = require('pdf2pic');
 const { createWorker } = require('tesseract.js');
 const puppeteer = require('puppeteer');
@@ -132,15 +138,14 @@ const multiUpload = multer({
   }
 });
 
-// Initialize Gemini AI
+// AI provider configuration: AI_PROVIDER selects gemini, openai (any
+// OpenAI-compatible endpoint) or mock; AI_MODEL overrides its default model
 const GEMINI_API_KEY = process.env.GEMINI_API_KEY;
-if (!GEMINI_API_KEY) {
-  console.warn('WARNING: GEMINI_API_KEY not set. AI features will be disabled.');
-} else {
-  console.log('SUCCESS: GEMINI_API_KEY is set and ready for AI features');
-  console.log('- API Key preview:', GEMINI_API_KEY.substring(0, 10) + '...');
-}
-const genAI = GEMINI_API_KEY ? new GoogleGenerativeAI(GEMINI_API_KEY) : null;
+const AI_PROVIDER = (process.env.AI_PROVIDER || 'gemini').trim().toLowerCase();
+const AI_MODEL = process.env.AI_MODEL ? process.env.AI_MODEL.trim() : '';
+const AI_HEALTH_TIMEOUT_MS = 15000;
+// How many times invalid AI questions are sent back to the model for repair
+const AI_MAX_REPAIR_ATTEMPTS = Math.max(0, parseInt(process.env.AI_MAX_REPAIR_ATTEMPTS, 10) || 2);
 
 // Bloom's Taxonomy levels
 const BLOOM_LEVELS = {
@@ -152,6 +157,35 @@ const BLOOM_LEVELS = {
   CREATE: { name: 'Create', code: 'CO6', description: 'Produce new or original work' }
 };
 
+// Word document MIME types (.docx and legacy .doc)
+const WORD_MIME_TYPES = [
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  'application/msword'
+];
+
+// Error code for uploads that are accepted by type but cannot be read (legacy
+// .doc files); the upload routes answer these with a 400 and delete the file
+const UNSUPPORTED_DOCUMENT = 'UNSUPPORTED_DOCUMENT';
+
+// Error code for rule-based generation that cannot build the requested
+// question types from the material; the generate route answers it with a 400
+const INSUFFICIENT_MATERIAL = 'INSUFFICIENT_MATERIAL';
+
+// Error code for rule-based generation asked for question types it has no
+// template for at a planned Bloom level; the generate route answers it with a 400
+const NO_RULE_BASED_TYPE = 'NO_RULE_BASED_TYPE';
+
+// PDF pages with fewer non-whitespace characters than this are treated as
+// scanned and sent through OCR
+const SCANNED_PAGE_MIN_CHARS = 40;
+
+// Largest piece of material sent to the AI in one prompt; longer documents
+// are split into sections and generated section by section
+const AI_SECTION_MAX_CHARS = parseInt(process.env.AI_SECTION_MAX_CHARS, 10) || 8000;
+
+// PowerPoint (.pptx) MIME type
+const POWERPOINT_MIME_TYPE = 'application/vnd.openxmlformats-officedocument.presentationml.presentation';
+
 // Question types
 const QUESTION_TYPES = {
   MULTIPLE_CHOICE: 'multiple-choice',
@@ -161,33 +195,1752 @@ const QUESTION_TYPES = {
   FILL_BLANK: 'fill-blank'
 };
 
-// Global session storage (in production, use Redis or database)
-const sessionStorage = new Map();
+// Split total into whole numbers proportional to weights (largest remainder
+// method), so the parts always add up to exactly total
+function apportion(total, weights) {
+  const weightSum = weights.reduce((sum, weight) => sum + weight, 0);
+  if (total <= 0 || weightSum <= 0) {
+    return weights.map(() => 0);
+  }
+
+  const exact = weights.map(weight => (total * weight) / weightSum);
+  const counts = exact.map(Math.floor);
+  const remaining = total - counts.reduce((sum, count) => sum + count, 0);
+
+  exact
+    .map((value, index) => ({ index, remainder: value - counts[index] }))
+    .sort((a, b) => b.remainder - a.remainder || a.index - b.index)
+    .slice(0, remaining)
+    .forEach(({ index }) => {
+      counts[index]++;
+    });
+
+  return counts;
+}
+
+// Questions per section: in proportion to section length, or spread evenly
+// through the material when there are fewer questions than sections
+function spreadQuestions(total, lengths) {
+  if (total < lengths.length) {
+    const counts = lengths.map(() => 0);
+    for (let i = 0; i < total; i++) {
+      counts[Math.floor(((i + 0.5) * lengths.length) / total)]++;
+    }
+    return counts;
+  }
+  return apportion(total, lengths);
+}
+
+// Percentage of questions per Bloom level for the named distributions
+const BLOOM_DISTRIBUTION_PRESETS = {
+  balanced: { REMEMBER: 20, UNDERSTAND: 20, APPLY: 20, ANALYZE: 15, EVALUATE: 15, CREATE: 10 },
+  foundational: { REMEMBER: 40, UNDERSTAND: 30, APPLY: 20, ANALYZE: 10, EVALUATE: 0, CREATE: 0 },
+  advanced: { REMEMBER: 10, UNDERSTAND: 15, APPLY: 20, ANALYZE: 25, EVALUATE: 20, CREATE: 10 }
+};
+
+// Read a Bloom distribution: a preset name, { percentages: {...} },
+// { counts: {...} } or a plain level map of percentages. Throws with a
+// message suitable for the client when the distribution is invalid.
+function parseBloomDistribution(distribution = 'balanced') {
+  if (typeof distribution === 'string') {
+    if (!BLOOM_DISTRIBUTION_PRESETS[distribution]) {
+      throw new Error(`Unknown Bloom distribution '${distribution}'. Use ${Object.keys(BLOOM_DISTRIBUTION_PRESETS).join(', ')} or a custom map.`);
+    }
+    return { percentages: BLOOM_DISTRIBUTION_PRESETS[distribution] };
+  }
+  if (!distribution || typeof distribution !== 'object' || Array.isArray(distribution)) {
+    throw new Error('Bloom distribution must be a preset name or an object');
+  }
+
+  const isCounts = Boolean(distribution.counts);
+  const map = distribution.counts || distribution.percentages || distribution;
+  const values = {};
+  Object.entries(map).forEach(([key, value]) => {
+    const level = key.toUpperCase();
+    if (!BLOOM_LEVELS[level]) {
+      throw new Error(`Unknown Bloom level '${key}' in distribution`);
+    }
+    if (typeof value !== 'number' || !isFinite(value) || value < 0 || (isCounts && !Number.isInteger(value))) {
+      throw new Error(`Bloom distribution value for ${level} must be a non-negative ${isCounts ? 'whole number' : 'number'}`);
+    }
+    values[level] = value;
+  });
+
+  const total = Object.values(values).reduce((sum, value) => sum + value, 0);
+  if (total <= 0) {
+    throw new Error('Bloom distribution must request at least one question');
+  }
+  if (!isCounts && Math.abs(total - 100) > 0.5) {
+    throw new Error(`Bloom distribution percentages must add up to 100 (got ${total})`);
+  }
+  return isCounts ? { counts: values } : { percentages: values };
+}
+
+// Bloom levels (of those with questions planned) at which none of the
+// requested types has a rule-based template
+function ruleBasedTypeGaps(levelCounts, questionTypes) {
+  return Object.keys(BLOOM_LEVELS).filter(level =>
+    (levelCounts[level] || 0) > 0 && !questionTypes.some(type => RULE_BASED_TYPES[level].includes(type)));
+}
+
+// Explanation for the client of why rule-based generation cannot proceed
+function ruleBasedTypesMessage(levels, questionTypes) {
+  const names = levels.map(level => BLOOM_LEVELS[level].name);
+  const usable = [...new Set(levels.flatMap(level => RULE_BASED_TYPES[level]))];
+  return `Without the AI provider, ${questionTypes.join(', ')} questions cannot be written at the ${names.join(', ')} level${names.length > 1 ? 's' : ''}. Allow ${usable.join(' or ')} questions for ${names.length > 1 ? 'these levels' : 'this level'}, or change the Bloom distribution.`;
+}
+
+// Blanks in a rule-based cloze item, by difficulty
+const CLOZE_BLANKS = { easy: 1, medium: 2, hard: 3 };
+
+// Question types the rule-based generator has templates for at each level
+const RULE_BASED_TYPES = {
+  REMEMBER: ['multiple-choice', 'true-false', 'short-answer', 'fill-blank'],
+  UNDERSTAND: ['multiple-choice', 'true-false', 'short-answer', 'essay'],
+  APPLY: ['multiple-choice', 'short-answer', 'essay'],
+  ANALYZE: ['multiple-choice', 'short-answer', 'essay'],
+  EVALUATE: ['multiple-choice', 'short-answer', 'essay'],
+  CREATE: ['multiple-choice', 'short-answer', 'essay']
+};
+
+// Blueprints describe a paper as a list of parts, each with a question
+// count, fixed marks per question, allowed types and Bloom levels, and
+// instructions. These ship with the app; more can be saved by name.
+const BUILT_IN_BLUEPRINTS = [
+  {
+    name: 'two-part-50',
+    title: 'Two parts, 50 marks',
+    parts: [
+      {
+        name: 'Part A',
+        questionCount: 10,
+        marksPerQuestion: 2,
+        questionTypes: ['multiple-choice', 'true-false', 'fill-blank', 'short-answer'],
+        bloomLevels: ['REMEMBER', 'UNDERSTAND', 'APPLY'],
+        instructions: 'Answer all questions.'
+      },
+      {
+        name: 'Part B',
+        questionCount: 5,
+        marksPerQuestion: 6,
+        questionTypes: ['short-answer', 'essay'],
+        bloomLevels: ['APPLY', 'ANALYZE', 'EVALUATE', 'CREATE'],
+        instructions: 'Answer all questions.'
+      }
+    ]
+  },
+  {
+    name: 'three-part-100',
+    title: 'Three parts, 100 marks',
+    parts: [
+      {
+        name: 'Part A',
+        questionCount: 10,
+        marksPerQuestion: 2,
+        questionTypes: ['multiple-choice', 'true-false', 'fill-blank'],
+        bloomLevels: ['REMEMBER', 'UNDERSTAND'],
+        instructions: 'Answer all questions. Each question carries 2 marks.'
+      },
+      {
+        name: 'Part B',
+        questionCount: 5,
+        marksPerQuestion: 8,
+        questionTypes: ['short-answer'],
+        bloomLevels: ['UNDERSTAND', 'APPLY', 'ANALYZE'],
+        instructions: 'Answer all questions in about 200 words each.'
+      },
+      {
+        name: 'Part C',
+        questionCount: 2,
+        marksPerQuestion: 20,
+        questionTypes: ['essay'],
+        bloomLevels: ['ANALYZE', 'EVALUATE', 'CREATE'],
+        instructions: 'Answer all questions in detail.'
+      }
+    ]
+  },
+  {
+    name: 'objective-quiz-20',
+    title: 'Objective quiz, 20 marks',
+    parts: [
+      {
+        name: 'Quiz',
+        questionCount: 20,
+        marksPerQuestion: 1,
+        questionTypes: ['multiple-choice', 'true-false', 'fill-blank'],
+        bloomLevels: ['REMEMBER', 'UNDERSTAND', 'APPLY'],
+        instructions: 'Choose or write the correct answer.'
+      }
+    ]
+  }
+];
+
+// Check a blueprint and fill in defaults. Throws with a message suitable for
+// the client when the blueprint is invalid.
+function validateBlueprint(blueprint) {
+  if (!blueprint || typeof blueprint !== 'object' || Array.isArray(blueprint)) {
+    throw new Error('Blueprint must be an object or the name of a saved blueprint');
+  }
+  if (!Array.isArray(blueprint.parts) || blueprint.parts.length === 0) {
+    throw new Error('Blueprint must have at least one part');
+  }
+
+  const seen = new Set();
+  const parts = blueprint.parts.map((part, index) => {
+    const label = part && part.name ? `Part '${part.name}'` : `Part ${index + 1}`;
+    if (!part || typeof part.name !== 'string' || !part.name.trim()) {
+      throw new Error(`${label} needs a name`);
+    }
+    if (seen.has(part.name.trim())) {
+      throw new Error(`${label} appears twice`);
+    }
+    seen.add(part.name.trim());
+    if (!Number.isInteger(part.questionCount) || part.questionCount < 1) {
+      throw new Error(`${label}: questionCount must be a whole number of at least 1`);
+    }
+    if (typeof part.marksPerQuestion !== 'number' || part.marksPerQuestion <= 0 || !Number.isInteger(part.marksPerQuestion * 2)) {
+      throw new Error(`${label}: marksPerQuestion must be a positive whole or half mark`);
+    }
+
+    const questionTypes = part.questionTypes || Object.values(QUESTION_TYPES);
+    if (!Array.isArray(questionTypes) || questionTypes.length === 0 ||
+      questionTypes.some(type => !Object.values(QUESTION_TYPES).includes(type))) {
+      throw new Error(`${label}: questionTypes must list one or more of ${Object.values(QUESTION_TYPES).join(', ')}`);
+    }
+    const requestedLevels = part.bloomLevels || Object.keys(BLOOM_LEVELS);
+    const bloomLevels = Array.isArray(requestedLevels) ? requestedLevels.map(level => String(level).toUpperCase()) : [];
+    if (bloomLevels.length === 0 || bloomLevels.some(level => !BLOOM_LEVELS[level])) {
+      throw new Error(`${label}: bloomLevels must list one or more of ${Object.keys(BLOOM_LEVELS).join(', ')}`);
+    }
+
+    // Internal choice: 'either-or' prints two alternatives (a) OR (b) for each
+    // of the questionCount questions; 'any' prints questionCount questions of
+    // which candidates attempt any 'attempt'
+    const choice = part.choice ? { ...part.choice } : null;
+    if (choice && choice.type !== 'either-or' && choice.type !== 'any') {
+      throw new Error(`${label}: choice type must be 'either-or' or 'any'`);
+    }
+    if (choice && choice.type === 'any' &&
+      (!Number.isInteger(choice.attempt) || choice.attempt < 1 || choice.attempt > part.questionCount)) {
+      throw new Error(`${label}: choice.attempt must be a whole number from 1 to ${part.questionCount}`);
+    }
+
+    return {
+      name: part.name.trim(),
+      questionCount: part.questionCount,
+      marksPerQuestion: part.marksPerQuestion,
+      questionTypes,
+      bloomLevels,
+      instructions: part.instructions ? String(part.instructions) : '',
+      choice,
+      printedCount: choice && choice.type === 'either-or' ? part.questionCount * 2 : part.questionCount,
+      attemptCount: choice && choice.type === 'any' ? choice.attempt : part.questionCount
+    };
+  });
+
+  return {
+    name: blueprint.name ? String(blueprint.name) : null,
+    title: blueprint.title ? String(blueprint.title) : (blueprint.name ? String(blueprint.name) : 'Custom blueprint'),
+    parts,
+    questionCount: parts.reduce((sum, part) => sum + part.printedCount, 0),
+    totalMarks: parts.reduce((sum, part) => sum + part.attemptCount * part.marksPerQuestion, 0),
+    printedMarks: parts.reduce((sum, part) => sum + part.printedCount * part.marksPerQuestion, 0)
+  };
+}
+
+// Printed questions per Bloom level for a blueprint part, spread evenly over
+// its levels. Either/or alternatives share a level, so they are counted in pairs.
+function blueprintPartLevelCounts(part) {
+  const pairs = part.choice && part.choice.type === 'either-or';
+  const counts = apportion(part.questionCount, part.bloomLevels.map(() => 1));
+  return Object.fromEntries(part.bloomLevels.map((level, index) => [level, pairs ? counts[index] * 2 : counts[index]]));
+}
+
+// Share of each question's marks a candidate can actually attempt: half of
+// an either/or pair, attempt/printed of an 'any N of M' part
+function partAttemptShares(parts) {
+  const attemptShares = new Map();
+  parts.forEach(part => {
+    const share = !part.choice ? 1
+      : part.choice.type === 'either-or' ? 0.5
+        : part.choice.attempt / part.questions.length;
+    part.questions.forEach(q => attemptShares.set(q.id, share));
+  });
+  return attemptShares;
+}
+
+// Units a paper reports on: the syllabus units, then any other unit a
+// question is tagged with (e.g. from the question bank). Null when there is
+// no syllabus and no question has a unit.
+function paperUnits(questions, syllabus) {
+  const units = syllabus ? syllabus.units.map(({ name, weightage }) => ({ name, weightage })) : [];
+  questions.forEach(q => {
+    if (q.unit && !units.some(unit => unit.name === q.unit)) {
+      units.push({ name: q.unit, weightage: null });
+    }
+  });
+  return units.length > 0 ? units : null;
+}
+
+// Number questions per part; either/or alternatives share a number: 2.3(a), 2.3(b)
+function numberPartQuestions(parts) {
+  parts.forEach((part, partIndex) => {
+    part.questions = part.questions.map((q, questionIndex) => ({
+      ...q,
+      number: `${partIndex + 1}.${q.choiceGroup || questionIndex + 1}${q.choiceLabel ? `(${q.choiceLabel})` : ''}`
+    }));
+  });
+}
+
+// Deterministic random numbers in [0, 1) for a string seed (FNV-1a hash
+// feeding a mulberry32 generator)
+function createSeededRandom(seed) {
+  let state = 2166136261;
+  for (const char of String(seed)) {
+    state = Math.imul(state ^ char.codePointAt(0), 16777619);
+  }
+  return () => {
+    state = (state + 0x6D2B79F5) | 0;
+    let t = Math.imul(state ^ (state >>> 15), 1 | state);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Fisher-Yates shuffle of a copy of items
+function shuffleWithRandom(items, random) {
+  const shuffled = [...items];
+  for (let i = shuffled.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+  }
+  return shuffled;
+}
+
+// Answer key entry for one question, with the option letter for MCQs
+function answerKeyEntry(q, partName) {
+  const optionIndex = q.type === QUESTION_TYPES.MULTIPLE_CHOICE && Array.isArray(q.options)
+    ? q.options.indexOf(q.correctAnswer)
+    : -1;
+  return {
+    number: q.number,
+    part: partName,
+    type: q.type,
+    bloomLevel: q.bloomLevel,
+    marks: q.marks,
+    correctOption: optionIndex >= 0 ? String.fromCharCode(65 + optionIndex) : null,
+    correctAnswer: q.correctAnswer || '',
+    answer: q.answer || '',
+    ...(q.type === QUESTION_TYPES.FILL_BLANK ? { acceptedAnswers: fillBlankAnswers(q) } : {})
+  };
+}
+
+// Answer column of the marking scheme: for fill-blank questions each
+// blank's answer with the alternatives also accepted
+function answerKeyText(entry) {
+  if (!entry.acceptedAnswers) return entry.correctAnswer || entry.answer;
+  return entry.acceptedAnswers
+    .map(([answer, ...others]) => (others.length > 0 ? `${answer} (also accepted: ${others.join(', ')})` : answer))
+    .join('; ');
+}
+
+// Correct answers in paper order
+function generateAnswerKey(examPaper) {
+  return examPaper.parts.flatMap(part => part.questions.map(q => answerKeyEntry(q, part.name)));
+}
+
+const OBJECTIVE_TYPES = [QUESTION_TYPES.MULTIPLE_CHOICE, QUESTION_TYPES.TRUE_FALSE, QUESTION_TYPES.FILL_BLANK];
+
+// Break a model answer into the points an examiner looks for: one per
+// sentence, list item or clause, merged so each point earns at least one step
+function splitMarkingPoints(modelAnswer, marks) {
+  const step = Number.isInteger(marks) ? 1 : 0.5;
+  const pieces = String(modelAnswer || '')
+    .split(/\n+|(?<=[.!?])\s+(?=[A-Z0-9])|;\s+|:\s+(?=\d+\.\s)|\s+(?=\d+\.\s)/)
+    .map(piece => piece.replace(/^\s*(?:\d+\.|[-*\u2022])\s*/, '').trim())
+    .filter(piece => piece.length > 2);
+  if (pieces.length === 0 || !(marks > 0)) {
+    return [];
+  }
+
+  const maxPoints = Math.max(1, Math.floor(marks / step));
+  const groupSizes = pieces.length > maxPoints
+    ? apportion(pieces.length, new Array(maxPoints).fill(1))
+    : pieces.map(() => 1);
+  let next = 0;
+  const points = groupSizes.map(size => {
+    const point = pieces.slice(next, next + size).join(' ');
+    next += size;
+    return point;
+  });
+
+  const budget = solveMarksBudget(points.map(() => 1), marks, { step });
+  return points.map((point, index) => ({ point, marks: budget.feasible ? budget.marks[index] : marks / points.length }));
+}
+
+// Answer key for objective items and model answers for descriptive ones,
+// marked point-wise or, where the question has one, against its rubric;
+// grouped by part in paper order
+function generateMarkingScheme(examPaper) {
+  return {
+    header: examPaper.header,
+    marksSummary: examPaper.marksSummary,
+    parts: examPaper.parts.map(part => ({
+      name: part.name,
+      description: part.description,
+      instructions: part.instructions || '',
+      questions: part.questions.map(q => {
+        const entry = answerKeyEntry(q, part.name);
+        const objective = OBJECTIVE_TYPES.includes(q.type);
+        const modelAnswer = objective ? '' : (q.answer || q.correctAnswer || q.explanation || '');
+        const rubric = !objective && q.rubric ? q.rubric : null;
+        return {
+          ...entry,
+          content: q.content,
+          options: q.options || [],
+          objective,
+          explanation: q.explanation || '',
+          modelAnswer,
+          markingPoints: objective || rubric ? [] : splitMarkingPoints(modelAnswer, q.marks),
+          rubric
+        };
+      })
+    }))
+  };
+}
+
+// Essays, and short answers worth at least this many marks, are marked
+// against an analytic rubric instead of a point-wise scheme
+const RUBRIC_MIN_SHORT_ANSWER_MARKS = Number(process.env.RUBRIC_MIN_SHORT_ANSWER_MARKS) || 5;
+
+const RUBRIC_LEVEL_LABELS = ['Excellent', 'Good', 'Satisfactory', 'Poor'];
+
+// The thinking skill each Bloom level is marked on, with descriptors from
+// best to worst; {topic} is replaced by the question's subject
+const RUBRIC_BLOOM_CRITERIA = {
+  REMEMBER: ['Recall of facts', [
+    'States all the relevant facts about {topic} correctly',
+    'States most of the relevant facts about {topic}',
+    'States a few facts about {topic}, some incorrectly',
+    'Facts about {topic} are missing or wrong'
+  ]],
+  UNDERSTAND: ['Explanation', [
+    'Explains {topic} clearly in own words with apt examples',
+    'Explains {topic} correctly with limited examples',
+    'Explanation of {topic} is partial or mostly restates the material',
+    'No meaningful explanation of {topic}'
+  ]],
+  APPLY: ['Application', [
+    'Applies {topic} correctly to the situation and justifies each step',
+    'Applies {topic} correctly with minor slips or gaps in justification',
+    'Attempts to apply {topic} but with significant errors',
+    'Does not apply {topic} to the situation'
+  ]],
+  ANALYZE: ['Analysis', [
+    'Breaks {topic} into its parts and explains how they relate, with evidence',
+    'Identifies the main parts of {topic} and most relationships',
+    'Lists parts of {topic} with little analysis of how they relate',
+    'Little or no analysis of {topic}'
+  ]],
+  EVALUATE: ['Evaluation and judgement', [
+    'Reaches a well-justified judgement on {topic}, weighing strengths and limitations',
+    'Reaches a reasonable judgement on {topic} with some justification',
+    'States an opinion on {topic} with weak justification',
+    'No judgement on {topic}, or one without support'
+  ]],
+  CREATE: ['Originality and design', [
+    'Proposes an original, coherent design or plan built on {topic}',
+    'Proposes a workable design or plan using {topic} with minor gaps',
+    'Proposal draws on {topic} but is incomplete or loosely connected',
+    'No workable proposal'
+  ]]
+};
+
+function needsRubric(question) {
+  return question.type === QUESTION_TYPES.ESSAY ||
+    (question.type === QUESTION_TYPES.SHORT_ANSWER && question.marks >= RUBRIC_MIN_SHORT_ANSWER_MARKS);
+}
+
+// Marks for each performance level of a criterion worth 'marks', best first:
+// full, two thirds, one third and none, rounded to the mark step. Levels that
+// round to the same marks are merged; the bottom level always scores 0.
+function rubricLevelMarks(marks, step) {
+  const levels = new Map();
+  [1, 2 / 3, 1 / 3, 0].forEach((share, index) => {
+    const levelMarks = Math.round((marks * share) / step) * step;
+    if (!levels.has(levelMarks) || levelMarks === 0) {
+      levels.set(levelMarks, { label: RUBRIC_LEVEL_LABELS[index], marks: levelMarks });
+    }
+  });
+  return [...levels.values()];
+}
+
+// Coerce an AI or hand-edited rubric into { criteria: [{ name, marks, levels:
+// [{ label, marks, descriptor }] }] } without judging it; see validateRubric
+function normalizeRubric(rubric) {
+  const criteria = rubric && Array.isArray(rubric.criteria) ? rubric.criteria : [];
+  return {
+    ...rubric,
+    criteria: criteria.map(criterion => ({
+      name: String((criterion && (criterion.name || criterion.criterion)) || '').trim(),
+      marks: Number(criterion && criterion.marks),
+      levels: (criterion && Array.isArray(criterion.levels) ? criterion.levels : []).map(level => ({
+        label: String((level && (level.label || level.level)) || '').trim(),
+        marks: Number(level && level.marks),
+        descriptor: String((level && level.descriptor) || '').trim()
+      }))
+    }))
+  };
+}
+
+// Problems with a rubric for a question worth 'marks': criterion marks must
+// add up to the question's marks, and each criterion's levels must run from
+// its full marks down to 0. An empty list means the rubric is usable.
+function validateRubric(rubric, marks) {
+  const errors = [];
+  if (!rubric || !Array.isArray(rubric.criteria) || rubric.criteria.length === 0) {
+    return ['rubric needs at least one criterion'];
+  }
+  const isStep = value => Number.isFinite(value) && Number.isInteger(value * 2);
+
+  rubric.criteria.forEach((criterion, index) => {
+    const label = criterion.name ? `criterion '${criterion.name}'` : `criterion ${index + 1}`;
+    if (!criterion.name) errors.push(`${label} needs a name`);
+    if (!isStep(criterion.marks) || criterion.marks <= 0) {
+      errors.push(`${label} must be worth a positive whole or half mark`);
+      return;
+    }
+    const levels = criterion.levels || [];
+    if (levels.length < 2) {
+      errors.push(`${label} needs at least two performance levels`);
+      return;
+    }
+    if (levels.some(level => !level.label || !level.descriptor)) {
+      errors.push(`${label}: every level needs a label and a descriptor`);
+    }
+    if (levels.some(level => !isStep(level.marks))) {
+      errors.push(`${label}: level marks must be whole or half marks`);
+      return;
+    }
+    if (levels[0].marks !== criterion.marks) {
+      errors.push(`${label}: the top level must be worth the criterion's ${criterion.marks} marks`);
+    }
+    if (levels[levels.length - 1].marks !== 0) {
+      errors.push(`${label}: the bottom level must be worth 0 marks`);
+    }
+    if (levels.some((level, i) => i > 0 && level.marks >= levels[i - 1].marks)) {
+      errors.push(`${label}: level marks must decrease from best to worst`);
+    }
+  });
+
+  const total = rubric.criteria.reduce((sum, criterion) => sum + (Number(criterion.marks) || 0), 0);
+  if (Math.abs(total - marks) > 1e-9) {
+    errors.push(`criterion marks add up to ${total}, not the question's ${marks}`);
+  }
+  return errors;
+}
+
+// Words too common to say anything about what a text is about
+const SIMILARITY_STOP_WORDS = new Set([
+  'a', 'about', 'after', 'all', 'also', 'an', 'and', 'any', 'are', 'as', 'at', 'be', 'been', 'being', 'between',
+  'both', 'but', 'by', 'can', 'could', 'did', 'do', 'does', 'each', 'for', 'from', 'had', 'has', 'have', 'how',
+  'if', 'in', 'into', 'is', 'it', 'its', 'may', 'more', 'most', 'must', 'no', 'not', 'of', 'on', 'or', 'other',
+  'over', 'should', 'so', 'some', 'such', 'than', 'that', 'the', 'their', 'them', 'then', 'there', 'these',
+  'they', 'this', 'those', 'through', 'to', 'under', 'upon', 'using', 'very', 'was', 'were', 'what', 'when',
+  'where', 'which', 'while', 'who', 'why', 'will', 'with', 'within', 'would', 'you', 'your',
+  'able', 'student', 'students', 'following', 'given', 'material', 'document', 'point', 'detail', 'concept', 'concepts'
+]);
+
+// Lower-case content words with common suffixes stripped, so "scheduling",
+// "schedules" and "scheduled" compare equal
+function tokenizeForSimilarity(text) {
+  return (String(text || '').toLowerCase().match(/[a-z][a-z0-9]+/g) || [])
+    .filter(word => word.length > 2 && !SIMILARITY_STOP_WORDS.has(word))
+    .map(word => word
+      .replace(/ies$/, 'y')
+      .replace(/sses$/, 'ss')
+      .replace(/([^s])s$/, '$1')
+      .replace(/([a-z]{4,})(?:ing|ed|ly)$/, '$1')
+      .replace(/([a-z]{3,})e$/, '$1'));
+}
+
+// Questions at least this similar (0 to 1) count as near-duplicates
+const DUPLICATE_SIMILARITY_THRESHOLD = Number(process.env.DUPLICATE_SIMILARITY_THRESHOLD) || 0.6;
+// Fresh questions tried before a near-duplicate is kept and flagged instead
+const DUPLICATE_REPLACEMENT_ATTEMPTS = 6;
+
+// Shingles of a question: its content words and each pair of neighbouring
+// words, so reworded and reordered copies still overlap
+function questionShingles(text) {
+  const tokens = tokenizeForSimilarity(text);
+  return new Set([...tokens, ...tokens.slice(1).map((token, i) => `${tokens[i]} ${token}`)]);
+}
+
+// Text compared for near-duplicates. Multiple-choice stems can be generic
+// ("Which statement is correct...?"), so the correct option counts as well.
+function duplicateText(question) {
+  return question.type === QUESTION_TYPES.MULTIPLE_CHOICE && question.correctAnswer
+    ? `${question.content} ${question.correctAnswer}`
+    : question.content;
+}
+
+// Jaccard similarity of two shingle sets
+function shingleSimilarity(a, b) {
+  if (a.size === 0 || b.size === 0) return 0;
+  let shared = 0;
+  a.forEach(shingle => {
+    if (b.has(shingle)) shared++;
+  });
+  return shared / (a.size + b.size - shared);
+}
+
+// Duplicate check options as { action, threshold, bankFilters,
+// previousQuestions }. action is 'replace' (default), 'flag' or 'off'.
+// Throws errors whose messages are safe to show to the client.
+function parseDuplicateCheck(option = {}) {
+  const {
+    action = 'replace',
+    threshold = DUPLICATE_SIMILARITY_THRESHOLD,
+    compareWithBank = false,
+    previousQuestions = []
+  } = option || {};
+  if (!['replace', 'flag', 'off'].includes(action)) {
+    throw new Error("duplicateCheck.action must be 'replace', 'flag' or 'off'");
+  }
+  if (typeof threshold !== 'number' || threshold <= 0 || threshold > 1) {
+    throw new Error('duplicateCheck.threshold must be a number above 0 and at most 1');
+  }
+  if (!Array.isArray(previousQuestions)) {
+    throw new Error('duplicateCheck.previousQuestions must be a list of questions');
+  }
+  return {
+    action,
+    threshold,
+    bankFilters: compareWithBank ? (typeof compareWithBank === 'object' ? compareWithBank : {}) : null,
+    previousQuestions: previousQuestions
+      .map(item => {
+        const content = String(typeof item === 'string' ? item : (item && item.content) || '').trim();
+        return { id: (item && item.id) || null, content, text: typeof item === 'string' ? content : duplicateText({ ...item, content }) };
+      })
+      .filter(item => item.content)
+  };
+}
+
+// Sentence shapes that state a fact about a term. 'term' captures the term
+// and 'description' what the sentence says about it; stem() asks for the
+// term back from the description.
+const FACT_PATTERNS = [
+  { regex: /^(?<term>.+?)\s+refers to\s+(?<description>.+)$/i, stem: fact => `Which term refers to ${fact.description}?` },
+  { regex: /^(?<term>.+?)\s+(?:is|are) defined as\s+(?<description>.+)$/i, stem: fact => `Which term is defined as ${fact.description}?` },
+  { regex: /^(?<description>.+?)\s+(?:is|are) (?:called|known as)\s+(?<term>.+)$/i, stem: fact => `What is ${lowerFirst(fact.description)} called?` },
+  { regex: /^(?<term>.+?)\s+means\s+(?<description>.+)$/i, stem: fact => `Which term means ${fact.description}?` },
+  {
+    regex: /^(?<term>.+?)\s+(?<verb>is|are)\s+(?<description>(?:a|an|the|one of)\s+.+)$/i,
+    stem: fact => `Which of the following ${fact.verb.toLowerCase()} ${fact.description}?`
+  },
+  {
+    regex: /^(?<term>.+?)\s+(?<verb>uses|use|provides|provide|allows|allow|enables|enable|manages|manage|prevents|prevent|ensures|ensure|stores|store|controls|control|requires|require|contains|contain|consists of|consist of|produces|produce|converts|convert|handles|handle)\s+(?<description>.+)$/i,
+    stem: fact => `Which of the following ${fact.verb.toLowerCase()} ${fact.description}?`
+  }
+];
+
+function lowerFirst(text) {
+  return /^[A-Z](?![A-Z])/.test(text) ? `${text[0].toLowerCase()}${text.slice(1)}` : text;
+}
+
+// A term as an answer option: without a leading article, first letter
+// capitalised
+function formatTerm(term) {
+  const bare = String(term || '').trim().replace(/^(?:a|an|the)\s+/i, '');
+  return bare ? `${bare[0].toUpperCase()}${bare.slice(1)}` : bare;
+}
+
+// Sentences of at least four words, without list bullets; a line break
+// always ends a sentence, so headings and list items stay separate
+function splitFactSentences(text) {
+  return String(text || '')
+    .split(/\n+/)
+    .map(line => line.replace(/^\s*(?:[-*\u2022]|\d+[.)])\s+/, ''))
+    .flatMap(line => line.split(/(?<=[.!?])\s+(?=[A-Z0-9"'(])/))
+    .map(sentence => sentence.trim().replace(/\s+/g, ' '))
+    .filter(sentence => sentence.split(' ').length >= 4);
+}
+
+// Words that never occur in a short noun phrase naming a term: pronouns
+// and pronoun-like determiners, auxiliaries and modals
+const NON_TERM_WORDS = new Set([
+  'it', 'its', 'this', 'that', 'these', 'those', 'they', 'them', 'their', 'there', 'which', 'who', 'whom', 'whose',
+  'what', 'we', 'us', 'our', 'you', 'your', 'he', 'him', 'his', 'she', 'her', 'i', 'me', 'my', 'each', 'every',
+  'some', 'any', 'all', 'such', 'one', 'is', 'are', 'was', 'were', 'be', 'been', 'being', 'has', 'have', 'had',
+  'do', 'does', 'did', 'can', 'could', 'will', 'would', 'shall', 'should', 'may', 'might', 'must', 'not'
+]);
+
+// Words a noun phrase does not start with: prepositions, conjunctions and
+// sentence adverbs, i.e. the sentence prefix is a clause, not a term
+const NON_TERM_OPENERS = new Set([
+  'about', 'above', 'across', 'after', 'against', 'along', 'among', 'around', 'as', 'at', 'before', 'behind',
+  'below', 'beneath', 'beside', 'between', 'beyond', 'by', 'despite', 'during', 'except', 'for', 'from', 'in',
+  'inside', 'into', 'like', 'near', 'of', 'off', 'on', 'onto', 'out', 'over', 'since', 'through', 'throughout',
+  'to', 'toward', 'towards', 'under', 'unlike', 'until', 'up', 'upon', 'with', 'within', 'without', 'and', 'or',
+  'but', 'so', 'yet', 'if', 'when', 'while', 'because', 'although', 'though', 'once', 'unless', 'whereas',
+  'whether', 'then', 'also', 'however', 'thus', 'therefore', 'here', 'today', 'now', 'often', 'usually'
+]);
+
+// Whether a sentence prefix can be a term: at most five words, no
+// punctuation, not opening with a preposition or conjunction and without
+// pronouns or auxiliaries
+function isTermPhrase(term) {
+  const words = term.toLowerCase().split(/\s+/);
+  return words.length <= 5 && !/[,;:()"]/.test(term) && !NON_TERM_OPENERS.has(words[0]) &&
+    !words.some(word => NON_TERM_WORDS.has(word));
+}
+
+// Facts stated in the text as [{ sentence, term, description, stem }]. The
+// term must be a short noun phrase, not a pronoun or a clause.
+function extractFacts(text) {
+  const facts = [];
+  splitFactSentences(text).forEach(sentence => {
+    const body = sentence.replace(/[.!?]+$/, '');
+    for (const pattern of FACT_PATTERNS) {
+      const match = body.match(pattern.regex);
+      if (!match) continue;
+      const term = match.groups.term.trim().replace(/^(?:a|an|the)\s+/i, '');
+      if (!isTermPhrase(term)) continue;
+      const fact = { sentence: `${body}.`, term, description: match.groups.description.trim(), verb: match.groups.verb || null };
+      if (fact.description.split(/\s+/).length < 2) continue;
+      facts.push({ ...fact, stem: pattern.stem(fact) });
+      break;
+    }
+  });
+  return facts;
+}
+
+// Singular for a plural word and plural for a singular one
+function inflectNumber(word) {
+  if (/[^aeiou]ies$/i.test(word)) return `${word.slice(0, -3)}y`;
+  if (/(?:ss|x|z|ch|sh)es$/i.test(word)) return word.slice(0, -2);
+  if (/is$/i.test(word)) return `${word.slice(0, -2)}es`;
+  if (/[^su]s$/i.test(word)) return word.slice(0, -1);
+  if (/[^aeiou]y$/i.test(word)) return `${word.slice(0, -1)}ies`;
+  if (/(?:s|x|z|ch|sh)$/i.test(word)) return `${word}es`;
+  return `${word}s`;
+}
+
+// British and American spellings of a word ending, either way round
+const SPELLING_SWAPS = [
+  [/isation(s?)$/i, 'ization$1'],
+  [/ization(s?)$/i, 'isation$1'],
+  [/is(e|es|ed|ing)$/i, 'iz$1'],
+  [/iz(e|es|ed|ing)$/i, 'is$1'],
+  [/ys(e|es|ed|ing)$/i, 'yz$1'],
+  [/yz(e|es|ed|ing)$/i, 'ys$1'],
+  [/(\w{3,})our(s?)$/i, '$1or$2'],
+  [/(\w{2,})tre(s?)$/i, '$1ter$2'],
+  [/ogue(s?)$/i, 'og$1']
+];
+
+function respell(word) {
+  const swap = SPELLING_SWAPS.find(([pattern]) => pattern.test(word));
+  return swap ? word.replace(swap[0], swap[1]) : word;
+}
+
+// Ways of writing a term a marker would accept besides the term itself:
+// with spaces or hyphens (joined up too if it is hyphenated), singular or
+// plural, British or American spelling. A phrase ending in a verb ("data
+// stored") is not a noun, so it gets no plural or compound forms.
+function spellingVariants(term) {
+  const base = String(term || '').trim();
+  if (!base) return [];
+  const words = base.split(/\s+/);
+  const last = words.length - 1;
+  const lastWord = words[last].toLowerCase();
+  const endsInVerb = last > 0 && (NON_TERM_WORDS.has(lastWord) || /\w[^e]ed$/.test(lastWord));
+  const respelled = words.map(respell).join(' ');
+  if (endsInVerb) {
+    return respelled !== base ? [respelled] : [];
+  }
+  const inflected = [...words.slice(0, last), inflectNumber(words[last])];
+  const variants = [
+    inflected.join(' '),
+    ...(respelled !== base ? [respelled, inflected.map(respell).join(' ')] : []),
+    ...(/[\s-]/.test(base) ? [base.replace(/[\s-]+/g, ' '), base.replace(/[\s-]+/g, '-')] : []),
+    ...(base.includes('-') ? [base.replace(/[\s-]+/g, '')] : [])
+  ];
+  return uniqueAnswers(variants).filter(variant => variant.toLowerCase() !== base.toLowerCase());
+}
+
+// Answers without case-insensitive repeats, in order
+function uniqueAnswers(answers) {
+  const seen = new Set();
+  return answers.filter(answer => {
+    const key = answer.toLowerCase();
+    if (!answer || seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
+
+// Other names the text gives a term: an acronym and its expansion written
+// with one in brackets ("Central Processing Unit (CPU)", "RAM (random access
+// memory)"), "also known as" / "also called" names and "(or ...)" asides
+function findTermAliases(text, term) {
+  if (!text || !term) return [];
+  const caseless = escapeRegExp(term).replace(/[a-z]/gi, letter => `[${letter.toLowerCase()}${letter.toUpperCase()}]`);
+  const name = "([A-Za-z][\\w'-]*(?:\\s+[A-Za-z][\\w'-]*){0,3})";
+  const initials = words => words.split(/[\s-]+/).map(word => word[0]).join('').toLowerCase();
+  const abbreviates = (acronym, words) => acronym.replace(/s$/, '').toLowerCase() === initials(words);
+  const aliases = [];
+
+  for (const match of text.matchAll(new RegExp(`\\b${caseless}\\s*\\(([A-Z][A-Z0-9]{1,7}s?)\\)`, 'g'))) {
+    if (abbreviates(match[1], term)) aliases.push(match[1]);
+  }
+  for (const match of text.matchAll(new RegExp(`\\b${name}\\s*\\(${caseless}\\)`, 'g'))) {
+    const words = match[1].split(/\s+/).slice(-term.length).join(' ');
+    if (abbreviates(term, words)) aliases.push(words);
+  }
+  for (const match of text.matchAll(new RegExp(`\\b${caseless}\\s*\\(${name}\\)`, 'g'))) {
+    if (abbreviates(term, match[1])) aliases.push(match[1]);
+  }
+  for (const match of text.matchAll(new RegExp(`\\b([A-Z][A-Z0-9]{1,7})\\s*\\(${caseless}\\)`, 'g'))) {
+    if (abbreviates(match[1], term)) aliases.push(match[1]);
+  }
+  const named = '(?:,?\\s+(?:also known as|also called|otherwise known as|sometimes called)|\\s*\\((?:or|also|i\\.e\\.))';
+  for (const match of text.matchAll(new RegExp(`\\b${caseless}${named}\\s+(?:an?\\s+|the\\s+)?${name}(?=\\s*[,.;:)])`, 'g'))) {
+    aliases.push(match[1]);
+  }
+  return uniqueAnswers(aliases).filter(alias => alias.toLowerCase() !== term.toLowerCase());
+}
+
+// Accepted answers for each blank of a fill-blank question, in order, the
+// expected answer first. Rule-based cloze items list them in `blanks`;
+// otherwise correctAnswer holds the answer (several blanks' answers
+// separated by semicolons) and its spelling variants are accepted too.
+function fillBlankAnswers(question) {
+  if (Array.isArray(question.blanks) && question.blanks.length > 0) {
+    return question.blanks.map(blank => uniqueAnswers([String(blank.answer || ''), ...(blank.alternatives || []).map(String)]));
+  }
+  const answer = String(question.correctAnswer || question.answer || '').trim();
+  const blankCount = (String(question.content || '').match(/_{3,}/g) || []).length;
+  const parts = answer.split(/\s*;\s*/);
+  const answers = blankCount > 1 && parts.length === blankCount ? parts : [answer];
+  return answers.map(text => [text, ...spellingVariants(text)]);
+}
+
+// Action verbs course outcomes are usually written with, by Bloom level
+const BLOOM_ACTION_VERBS = {
+  REMEMBER: ['define', 'list', 'recall', 'state', 'identify', 'name', 'recognize', 'describe', 'label', 'memorize'],
+  UNDERSTAND: ['explain', 'summarize', 'interpret', 'classify', 'compare', 'discuss', 'illustrate', 'understand', 'outline', 'paraphrase'],
+  APPLY: ['apply', 'use', 'solve', 'implement', 'demonstrate', 'compute', 'calculate', 'execute', 'employ', 'operate'],
+  ANALYZE: ['analyze', 'analyse', 'differentiate', 'examine', 'investigate', 'distinguish', 'organize', 'contrast', 'debug', 'deconstruct'],
+  EVALUATE: ['evaluate', 'assess', 'justify', 'critique', 'judge', 'appraise', 'argue', 'defend', 'recommend', 'validate'],
+  CREATE: ['design', 'create', 'develop', 'construct', 'formulate', 'propose', 'plan', 'compose', 'build', 'devise']
+};
+
+// Bloom level of a course outcome statement, from its first action verb
+function courseOutcomeBloomLevel(statement) {
+  const words = String(statement || '').toLowerCase().match(/[a-z]+/g) || [];
+  for (const word of words) {
+    const level = Object.keys(BLOOM_ACTION_VERBS).find(key => BLOOM_ACTION_VERBS[key].includes(word));
+    if (level) return level;
+  }
+  return null;
+}
+
+// Course outcomes as [{ code, statement, bloomLevel }]. Accepts statements
+// (coded CO1, CO2, ... in order) or { code, statement } objects. Throws
+// errors whose messages are safe to show to the client.
+function parseCourseOutcomes(courseOutcomes) {
+  if (!Array.isArray(courseOutcomes) || courseOutcomes.length === 0 || courseOutcomes.length > 12) {
+    throw new Error('courseOutcomes must list 1 to 12 course outcomes');
+  }
+  const codes = new Set();
+  return courseOutcomes.map((outcome, index) => {
+    const entry = typeof outcome === 'string' ? { statement: outcome } : (outcome || {});
+    const code = String(entry.code || `CO${index + 1}`).trim();
+    const statement = String(entry.statement || '').trim();
+    if (!statement) {
+      throw new Error(`Course outcome ${code} needs a statement`);
+    }
+    if (codes.has(code)) {
+      throw new Error(`Course outcome code ${code} is used twice`);
+    }
+    codes.add(code);
+    return { code, statement, bloomLevel: courseOutcomeBloomLevel(statement) };
+  });
+}
+
+// Units of a plain-text syllabus. A line starting with "Unit", "Module" or
+// "Chapter" and a number opens a unit, optionally with its weightage as a
+// percentage; the lines below it (bullets or comma-separated) are its topics.
+//   Unit 1: Process Management (30%)
+//   Processes, threads, CPU scheduling
+function parseSyllabusText(text) {
+  const units = [];
+  String(text || '').split(/\r?\n/).map(line => line.trim()).filter(Boolean).forEach(line => {
+    const heading = line.match(/^(unit|module|chapter)\s*([0-9]+|[ivxlc]+)\b\s*[:.\-–—]?\s*(.*)$/i);
+    if (heading) {
+      const weightage = heading[3].match(/\(?\s*(\d+(?:\.\d+)?)\s*%\s*\)?/);
+      const title = heading[3].replace(/\(?\s*\d+(?:\.\d+)?\s*%\s*\)?/, '').replace(/[\s:.\-–—]+$/, '').trim();
+      const label = `${heading[1][0].toUpperCase()}${heading[1].slice(1).toLowerCase()} ${heading[2].toUpperCase()}`;
+      units.push({
+        name: title ? `${label}: ${title}` : label,
+        topics: [],
+        ...(weightage ? { weightage: Number(weightage[1]) } : {})
+      });
+    } else if (units.length > 0) {
+      units[units.length - 1].topics.push(...line.replace(/^[-*•\d.)\s]+/, '').split(/[,;]/));
+    }
+  });
+  if (units.length === 0) {
+    throw new Error('No units found in the syllabus: start each unit on its own line with "Unit 1: ..."');
+  }
+  return { units };
+}
+
+// Syllabus as { units: [{ name, topics, weightage }] } from plain text, a
+// list of units or { units }. Weightages are percentages of the paper: give
+// them for every unit (adding up to 100) or for none (units share equally).
+// Throws errors whose messages are safe to show to the client.
+function parseSyllabus(syllabus) {
+  const source = typeof syllabus === 'string' ? parseSyllabusText(syllabus)
+    : Array.isArray(syllabus) ? { units: syllabus } : (syllabus || {});
+  if (!Array.isArray(source.units) || source.units.length === 0 || source.units.length > 20) {
+    throw new Error('The syllabus must list 1 to 20 units');
+  }
+
+  const names = new Set();
+  const units = source.units.map((unit, index) => {
+    const entry = typeof unit === 'string' ? { name: unit } : (unit || {});
+    const name = String(entry.name || entry.title || '').trim() || `Unit ${index + 1}`;
+    if (names.has(name)) {
+      throw new Error(`Unit '${name}' is listed twice`);
+    }
+    names.add(name);
+    const topics = (Array.isArray(entry.topics) ? entry.topics : String(entry.topics || '').split(/[,;\n]/))
+      .map(topic => String(topic).trim())
+      .filter(Boolean);
+    const hasWeightage = entry.weightage !== undefined && entry.weightage !== null && entry.weightage !== '';
+    const weightage = hasWeightage ? Number(entry.weightage) : null;
+    if (hasWeightage && !(weightage > 0)) {
+      throw new Error(`Unit '${name}' weightage must be a positive percentage`);
+    }
+    return { name, topics, weightage };
+  });
+
+  const weighted = units.filter(unit => unit.weightage !== null);
+  if (weighted.length > 0 && weighted.length < units.length) {
+    throw new Error('Give a weightage for every unit or for none');
+  }
+  if (weighted.length === 0) {
+    units.forEach(unit => {
+      unit.weightage = Math.round((100 / units.length) * 100) / 100;
+    });
+  } else {
+    const total = units.reduce((sum, unit) => sum + unit.weightage, 0);
+    if (Math.abs(total - 100) > 0.01) {
+      throw new Error(`Unit weightages must add up to 100, not ${Math.round(total * 100) / 100}`);
+    }
+  }
+  return { units };
+}
+
+// Syllabus sent as a form field or request value: units as JSON (or JSON
+// text), or a plain-text syllabus
+function readSyllabus(value) {
+  if (typeof value === 'string' && /^\s*[[{]/.test(value)) {
+    let parsed;
+    try {
+      parsed = JSON.parse(value);
+    } catch (_) {
+      throw new Error('The syllabus is not valid JSON');
+    }
+    return parseSyllabus(parsed);
+  }
+  return parseSyllabus(value);
+}
+
+// Which sections of the material belong to each unit, by the words a
+// section shares with the unit's name and topics. Each section goes to the
+// unit it matches best; a unit nothing matches borrows the section closest
+// to it and is marked matched: false.
+function matchSectionsToUnits(texts, units) {
+  const sectionTerms = texts.map(text => new Set(tokenizeForSimilarity(text)));
+  const scores = units.map(unit => {
+    const unitTerms = [...new Set(tokenizeForSimilarity(`${unit.name} ${unit.topics.join(' ')}`))];
+    return sectionTerms.map(terms => (unitTerms.length > 0
+      ? unitTerms.filter(term => terms.has(term)).length / unitTerms.length
+      : 0));
+  });
+
+  const matches = units.map(() => []);
+  texts.forEach((_, sectionIndex) => {
+    let best = -1;
+    units.forEach((_, unitIndex) => {
+      if (scores[unitIndex][sectionIndex] > 0 && (best < 0 || scores[unitIndex][sectionIndex] > scores[best][sectionIndex])) {
+        best = unitIndex;
+      }
+    });
+    if (best >= 0) matches[best].push(sectionIndex);
+  });
+
+  return units.map((unit, unitIndex) => {
+    if (matches[unitIndex].length > 0 || texts.length === 0) {
+      return { unit, sections: matches[unitIndex], matched: matches[unitIndex].length > 0 };
+    }
+    const closest = scores[unitIndex].reduce((best, score, index) => (score > scores[unitIndex][best] ? index : best), 0);
+    return { unit, sections: [closest], matched: false };
+  });
+}
+
+// Marks line under a part title, e.g. "(5 x 2 = 10 Marks)" or
+// "(Answer any 5 of 7: 5 x 6 = 30 Marks)"
+function describeBlueprintPart(part) {
+  const total = part.attemptCount * part.marksPerQuestion;
+  const marks = `${part.attemptCount} x ${part.marksPerQuestion} = ${total} Marks`;
+  return part.choice && part.choice.type === 'any'
+    ? `(Answer any ${part.attemptCount} of ${part.questionCount}: ${marks})`
+    : `(${marks})`;
+}
+
+// Relative weight of a question when marks are shared out: base marks for
+// the Bloom level scaled by difficulty and question type
+const MARK_WEIGHTS = {
+  bloom: { REMEMBER: 2, UNDERSTAND: 3, APPLY: 4, ANALYZE: 5, EVALUATE: 6, CREATE: 8 },
+  difficulty: { easy: 0.8, medium: 1.0, hard: 1.2 },
+  type: { 'multiple-choice': 1.0, 'true-false': 0.5, 'short-answer': 1.5, 'essay': 2.0, 'fill-blank': 0.8 }
+};
+
+function questionMarkWeight(bloomLevel, questionType, difficulty) {
+  return (MARK_WEIGHTS.bloom[bloomLevel] || 1) *
+    (MARK_WEIGHTS.difficulty[difficulty] || 1) *
+    (MARK_WEIGHTS.type[questionType] || 1);
+}
+
+// Share totalMarks across questions in proportion to their weights, in whole
+// (step 1) or half (step 0.5) marks, with at least one step per question.
+// Returns { feasible: true, marks } or { feasible: false, reason }.
+function solveMarksBudget(weights, totalMarks, { step = 1 } = {}) {
+  const stepName = step === 0.5 ? 'half' : 'whole';
+  if (step !== 1 && step !== 0.5) {
+    return { feasible: false, reason: `Marks can only be given in whole (1) or half (0.5) steps, not ${step}` };
+  }
+  if (weights.length === 0) {
+    return { feasible: false, reason: 'There are no questions to assign marks to' };
+  }
+  if (typeof totalMarks !== 'number' || !(totalMarks > 0)) {
+    return { feasible: false, reason: `Total marks must be a positive number (got ${totalMarks})` };
+  }
+
+  const units = totalMarks / step;
+  if (!Number.isInteger(units)) {
+    return { feasible: false, reason: `${totalMarks} marks cannot be split into ${stepName} marks` };
+  }
+  if (units < weights.length) {
+    return {
+      feasible: false,
+      reason: `${weights.length} questions need at least ${weights.length * step} marks at ${step} mark each, but the total is ${totalMarks}. ` +
+        `Reduce the number of questions${step === 1 ? ', allow half marks' : ''} or raise the total marks.`
+    };
+  }
+
+  // Questions whose share falls below one step get exactly one step; the
+  // rest is apportioned again among the others until every share fits
+  const counts = weights.map(() => 0);
+  let open = weights.map((weight, index) => index);
+  let remaining = units;
+  for (;;) {
+    const shares = apportion(remaining, open.map(index => Math.max(weights[index], 0) || 1));
+    const short = open.filter((index, i) => shares[i] < 1);
+    if (short.length === 0) {
+      open.forEach((index, i) => {
+        counts[index] = shares[i];
+      });
+      break;
+    }
+    short.forEach(index => {
+      counts[index] = 1;
+    });
+    remaining -= short.length;
+    open = open.filter(index => !short.includes(index));
+  }
+
+  return { feasible: true, marks: counts.map(count => count * step) };
+}
+
+// GET a provider's model endpoint for a health check, aborting the request
+// after AI_HEALTH_TIMEOUT_MS; rejects unless the response is OK
+async function fetchForHealth(url, headers, label) {
+  let response;
+  try {
+    response = await fetch(url, { headers, signal: AbortSignal.timeout(AI_HEALTH_TIMEOUT_MS) });
+  } catch (error) {
+    if (error.name === 'TimeoutError') throw new Error(`${label} timed out after ${AI_HEALTH_TIMEOUT_MS}ms`);
+    throw error;
+  }
+  if (!response.ok) {
+    const body = await response.text();
+    throw new Error(`${label} returned ${response.status}: ${body.substring(0, 200)}`);
+  }
+  return response;
+}
+
+// LLM providers share one interface:
+//   name, model, isConfigured(), generateText(prompt, context), checkHealth()
+// context describes the request in structured form ({ task, content,
+// requirements }) for providers that do not read the prompt, such as the mock.
+class GeminiProvider {
+  constructor({ apiKey, model }) {
+    this.name = 'gemini';
+    this.model = model || 'gemini-1.5-flash';
+    this.apiKey = apiKey || '';
+    this.client = apiKey ? new GoogleGenerativeAI(apiKey) : null;
+  }
+
+  isConfigured() {
+    return Boolean(this.client);
+  }
+
+  async generateText(prompt) {
+    if (!this.client) {
+      throw new Error('Gemini API key not configured. Please set GEMINI_API_KEY in your .env file.');
+    }
+
+    const model = this.client.getGenerativeModel({ model: this.model });
+    const result = await model.generateContent(prompt);
+    const response = await result.response;
+    return response.text();
+  }
+
+  async checkHealth() {
+    if (!this.client) {
+      return { available: false, message: 'Gemini API key not configured. Please set GEMINI_API_KEY in your .env file.' };
+    }
+    try {
+      // Looking the model up checks the key and model without generating anything
+      await fetchForHealth(`https://generativelanguage.googleapis.com/v1beta/models/${encodeURIComponent(this.model)}`,
+        { 'x-goog-api-key': this.apiKey }, 'Gemini model lookup');
+      return { available: true, message: `AI (Gemini, ${this.model}) is ready` };
+    } catch (error) {
+      return { available: false, message: 'Invalid API key or API error: ' + error.message };
+    }
+  }
+}
+
+// Any server implementing the OpenAI chat completions API, including
+// self-hosted local model servers
+class OpenAICompatibleProvider {
+  constructor({ baseUrl, apiKey, model }) {
+    this.name = 'openai';
+    this.baseUrl = (baseUrl || '').replace(/\/+$/, '');
+    this.apiKey = apiKey || '';
+    this.model = model || 'gpt-4o-mini';
+  }
+
+  isConfigured() {
+    return Boolean(this.baseUrl);
+  }
+
+  async generateText(prompt, context = {}) {
+    if (!this.baseUrl) {
+      throw new Error('OpenAI-compatible endpoint not configured. Please set OPENAI_BASE_URL or OPENAI_API_KEY in your .env file.');
+    }
+
+    const response = await fetch(`${this.baseUrl}/chat/completions`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...(this.apiKey ? { Authorization: `Bearer ${this.apiKey}` } : {})
+      },
+      body: JSON.stringify({
+        model: this.model,
+        messages: [{ role: 'user', content: prompt }],
+        temperature: 0.4,
+        ...(context.maxTokens ? { max_tokens: context.maxTokens } : {})
+      })
+    });
+
+    if (!response.ok) {
+      const body = await response.text();
+      throw new Error(`OpenAI-compatible endpoint returned ${response.status}: ${body.substring(0, 200)}`);
+    }
+
+    const data = await response.json();
+    const text = data.choices && data.choices[0] && data.choices[0].message && data.choices[0].message.content;
+    if (!text) {
+      throw new Error('OpenAI-compatible endpoint returned an empty response');
+    }
+    return text;
+  }
+
+  async checkHealth() {
+    if (!this.baseUrl) {
+      return { available: false, message: 'OpenAI-compatible endpoint not configured. Please set OPENAI_BASE_URL or OPENAI_API_KEY in your .env file.' };
+    }
+    try {
+      await fetchForHealth(`${this.baseUrl}/models`,
+        this.apiKey ? { Authorization: `Bearer ${this.apiKey}` } : {}, 'OpenAI-compatible model list');
+      return { available: true, message: `AI (${this.model} at ${this.baseUrl}) is ready` };
+    } catch (error) {
+      return { available: false, message: 'Endpoint error: ' + error.message };
+    }
+  }
+}
+
+// Offline provider for development and tests: builds questions
+// deterministically from the sentences of the supplied content, so the same
+// input always yields the same output
+class MockProvider {
+  constructor({ model } = {}) {
+    this.name = 'mock';
+    this.model = model || 'mock-deterministic';
+  }
+
+  isConfigured() {
+    return true;
+  }
+
+  async generateText(prompt, context = {}) {
+    if (context.task === 'questions') {
+      return JSON.stringify(this.buildQuestions(context.content || '', context.requirements || {}));
+    }
+    if (context.task === 'repair') {
+      // Rebuild each rejected item at its own level and type
+      const requirements = context.requirements || {};
+      const allowedTypes = requirements.questionTypes && requirements.questionTypes.length ? requirements.questionTypes : [QUESTION_TYPES.MULTIPLE_CHOICE];
+      const items = (context.items || []).map(item => (item && typeof item === 'object' ? item : {}));
+      return JSON.stringify(this.buildQuestions(context.content || '', {
+        ...requirements,
+        totalQuestions: items.length,
+        questionTypes: items.map((item, i) => (allowedTypes.includes(item.type) ? item.type : allowedTypes[i % allowedTypes.length])),
+        levels: items.map((item, i) => (BLOOM_LEVELS[item.bloomLevel] ? item.bloomLevel : Object.keys(BLOOM_LEVELS)[i % 6]))
+      }));
+    }
+    if (context.task === 'rubrics') {
+      return JSON.stringify((context.questions || []).map((q, index) => this.buildRubric(q, index)));
+    }
+    if (context.task === 'course-outcomes') {
+      return JSON.stringify((context.questions || []).map((q, index) => this.buildCourseOutcomeMapping(q, index, context.courseOutcomes || [])));
+    }
+    return 'OK';
+  }
+
+  async checkHealth() {
+    return { available: true, message: 'Mock AI provider is ready (offline, deterministic)' };
+  }
+
+  // The CO sharing most words with the question, else the first one
+  buildCourseOutcomeMapping(question, index, courseOutcomes) {
+    const words = new Set(String(question.content || '').toLowerCase().match(/[a-z]{4,}/g) || []);
+    const best = courseOutcomes.reduce((chosen, outcome) => {
+      const shared = (outcome.statement.toLowerCase().match(/[a-z]{4,}/g) || []).filter(word => words.has(word)).length;
+      return shared > chosen.shared ? { code: outcome.code, shared } : chosen;
+    }, { code: courseOutcomes.length ? courseOutcomes[0].code : null, shared: 0 });
+    return { index, courseOutcomes: best.code ? [best.code] : [] };
+  }
+
+  // Two-criterion rubric naming the question's own point
+  buildRubric(question, index) {
+    const step = Number.isInteger(question.marks) ? 1 : 0.5;
+    const subject = String(question.content || '').split(':').pop().replace(/["\s]+/g, ' ').trim().slice(0, 60) || 'the topic';
+    const criteria = [['Accuracy', `the facts about ${subject}`], ['Depth of reasoning', `the reasoning about ${subject}`]]
+      .slice(0, question.marks / step >= 2 ? 2 : 1);
+    const budget = solveMarksBudget(criteria.map(() => 1), question.marks, { step });
+    return {
+      index,
+      criteria: criteria.map(([name, focus], i) => ({
+        name,
+        marks: budget.marks[i],
+        levels: rubricLevelMarks(budget.marks[i], step).map(level => ({ ...level, descriptor: `${level.label} treatment of ${focus}` }))
+      }))
+    };
+  }
+
+  // Sentences of the content, each tagged with the [Source: ...] label above it
+  readFacts(content) {
+    const facts = [];
+    let source = {};
+    content.split('\n').forEach(line => {
+      const label = line.match(/^\[Source: (.+?)(?:, (page|slide) (\d+))?\]$/);
+      if (label) {
+        source = { fileName: label[1], [label[2] || 'page']: label[3] ? Number(label[3]) : null };
+        return;
+      }
+      line.split(/(?<=[.!?])\s+/)
+        .map(sentence => sentence.replace(/^[-*\d.\s]+/, '').replace(/\s+/g, ' ').trim())
+        .filter(sentence => sentence.length > 30 && sentence.split(/\s+/).length >= 6)
+        .forEach(sentence => facts.push({ sentence, source }));
+    });
+    return facts;
+  }
+
+  buildQuestions(content, requirements) {
+    const {
+      totalQuestions = 5,
+      questionTypes = [QUESTION_TYPES.MULTIPLE_CHOICE],
+      difficulty = 'medium',
+      levelCounts = {},
+      levels: fixedLevels
+    } = requirements;
+
+    const facts = this.readFacts(content);
+    const commonWords = new Set(['about', 'after', 'again', 'before', 'being', 'between', 'could', 'during', 'other', 'should', 'their', 'there', 'these', 'those', 'through', 'under', 'until', 'where', 'which', 'while', 'would']);
+    const frequency = {};
+    facts.forEach(({ sentence }) => {
+      (sentence.toLowerCase().match(/\b[a-z]{5,}\b/g) || []).filter(term => !commonWords.has(term)).forEach(term => {
+        frequency[term] = (frequency[term] || 0) + 1;
+      });
+    });
+    const vocabulary = Object.keys(frequency).sort((a, b) => frequency[b] - frequency[a] || a.localeCompare(b));
+
+    const levels = fixedLevels ? [...fixedLevels] : [];
+    if (!fixedLevels) {
+      Object.keys(BLOOM_LEVELS).forEach(level => {
+        for (let i = 0; i < (levelCounts[level] || 0); i++) levels.push(level);
+      });
+    }
+    for (let i = 0; levels.length < totalQuestions; i++) {
+      levels.push(Object.keys(BLOOM_LEVELS)[i % 6]);
+    }
+
+    const verbs = { REMEMBER: 'State', UNDERSTAND: 'Explain', APPLY: 'Apply', ANALYZE: 'Analyze', EVALUATE: 'Evaluate', CREATE: 'Propose' };
+    const questions = levels.slice(0, totalQuestions).map((level, index) => {
+      const type = questionTypes[index % questionTypes.length];
+      const fact = facts.length > 0 ? facts[index % facts.length] : { sentence: 'The material introduces its main concepts.', source: {} };
+      const sentenceTerms = fact.sentence.toLowerCase().match(/\b[a-z]{5,}\b/g) || [];
+      const term = vocabulary.find(candidate => sentenceTerms.includes(candidate)) || 'concept';
+      const blanked = fact.sentence.replace(new RegExp(`\\b${term}\\b`, 'i'), '_____');
+      const others = vocabulary.filter(candidate => candidate !== term).slice(index % 3, (index % 3) + 3);
+      while (others.length < 3) others.push(`option ${others.length + 1}`);
+
+      const question = {
+        id: `Q${index + 1}`,
+        type,
+        bloomLevel: level,
+        difficulty,
+        source: { ...fact.source, excerpt: fact.sentence }
+      };
+
+      if (type === QUESTION_TYPES.MULTIPLE_CHOICE) {
+        const options = [...others];
+        options.splice(index % 4, 0, term);
+        Object.assign(question, {
+          question: `Which term best completes the statement: "${blanked}"?`,
+          options,
+          correctAnswer: term,
+          explanation: `The material states: "${fact.sentence}"`
+        });
+      } else if (type === QUESTION_TYPES.TRUE_FALSE) {
+        const isTrue = index % 2 === 0;
+        Object.assign(question, {
+          question: isTrue ? fact.sentence : fact.sentence.replace(new RegExp(`\\b${term}\\b`, 'i'), others[0]),
+          options: ['True', 'False'],
+          correctAnswer: isTrue ? 'True' : 'False',
+          explanation: `The material states: "${fact.sentence}"`
+        });
+      } else if (type === QUESTION_TYPES.FILL_BLANK) {
+        Object.assign(question, {
+          question: blanked,
+          correctAnswer: term,
+          explanation: `The material states: "${fact.sentence}"`
+        });
+      } else {
+        Object.assign(question, {
+          question: `${verbs[level]} the following point from the material${type === QUESTION_TYPES.ESSAY ? ' in detail' : ''}: "${fact.sentence}"`,
+          correctAnswer: '',
+          explanation: `Answers should build on the material's statement about ${term}.`,
+          answer: fact.sentence
+        });
+      }
+      return question;
+    });
+
+    return {
+      questions,
+      summary: { totalQuestions: questions.length, bloomDistribution: levelCounts }
+    };
+  }
+}
+
+const aiProviders = {
+  gemini: new GeminiProvider({
+    apiKey: GEMINI_API_KEY,
+    model: AI_PROVIDER === 'gemini' ? AI_MODEL : ''
+  }),
+  openai: new OpenAICompatibleProvider({
+    baseUrl: process.env.OPENAI_BASE_URL || (process.env.OPENAI_API_KEY ? 'https://api.openai.com/v1' : ''),
+    apiKey: process.env.OPENAI_API_KEY,
+    model: AI_PROVIDER === 'openai' ? AI_MODEL : ''
+  }),
+  mock: new MockProvider({
+    model: AI_PROVIDER === 'mock' ? AI_MODEL : ''
+  })
+};
+
+const activeAIProvider = aiProviders[AI_PROVIDER] || null;
+if (!activeAIProvider) {
+  console.warn(`WARNING: Unknown AI_PROVIDER '${AI_PROVIDER}'. AI features will be disabled.`);
+} else if (!activeAIProvider.isConfigured()) {
+  console.warn(`WARNING: AI provider '${AI_PROVIDER}' is not configured. AI features will be disabled.`);
+} else {
+  console.log(`SUCCESS: AI provider '${activeAIProvider.name}' (${activeAIProvider.model}) is ready for AI features`);
+}
+
+// Persistent data (sessions, question bank) lives here
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, 'data');
+
+// Sessions expire this long after upload unless extended
+const SESSION_TTL_MS = parseInt(process.env.FILE_CLEANUP_DELAY, 10) || 60 * 60 * 1000;
+const SESSION_SWEEP_INTERVAL_MS = parseInt(process.env.SESSION_SWEEP_INTERVAL, 10) || 5 * 60 * 1000;
+
+// Session stores share one async interface so another backend (e.g. Redis)
+// can be added without touching the routes:
+//   get(sessionId), set(session), delete(sessionId), list()
+// get() returns null for unknown or expired sessions; list() returns every
+// stored session, expired or not, for the sweeper.
+class FileSessionStore {
+  constructor(directory) {
+    this.name = 'file';
+    this.directory = directory;
+  }
+
+  // Session ids are uuids; anything else could escape the directory
+  filePath(sessionId) {
+    return /^[0-9a-f-]{36}$/i.test(String(sessionId)) ? path.join(this.directory, `${sessionId}.json`) : null;
+  }
+
+  async get(sessionId) {
+    const filePath = this.filePath(sessionId);
+    if (!filePath || !(await fs.pathExists(filePath))) return null;
+
+    const session = await fs.readJson(filePath);
+    return new Date(session.expiresAt) > new Date() ? session : null;
+  }
+
+  async set(session) {
+    const filePath = this.filePath(session.sessionId);
+    const tempPath = `${filePath}.${uuidv4()}.tmp`;
+    await fs.ensureDir(this.directory);
+    await fs.writeJson(tempPath, session);
+    await fs.move(tempPath, filePath, { overwrite: true });
+  }
+
+  async delete(sessionId) {
+    const filePath = this.filePath(sessionId);
+    if (filePath) await fs.remove(filePath);
+  }
+
+  async list() {
+    if (!(await fs.pathExists(this.directory))) return [];
+
+    const sessions = [];
+    for (const name of await fs.readdir(this.directory)) {
+      if (!name.endsWith('.json')) continue;
+      try {
+        sessions.push(await fs.readJson(path.join(this.directory, name)));
+      } catch (error) {
+        console.error(`Session store: unreadable session file ${name}:`, error.message);
+      }
+    }
+    return sessions;
+  }
+}
+
+// Non-durable store for development and tests
+class MemorySessionStore {
+  constructor() {
+    this.name = 'memory';
+    this.sessions = new Map();
+  }
+
+  async get(sessionId) {
+    const session = this.sessions.get(sessionId);
+    return session && new Date(session.expiresAt) > new Date() ? session : null;
+  }
+
+  async set(session) {
+    this.sessions.set(session.sessionId, session);
+  }
+
+  async delete(sessionId) {
+    this.sessions.delete(sessionId);
+  }
+
+  async list() {
+    return [...this.sessions.values()];
+  }
+}
+
+function createSessionStore(type) {
+  switch (type) {
+    case 'memory':
+      return new MemorySessionStore();
+    case 'file':
+      return new FileSessionStore(path.join(DATA_DIR, 'sessions'));
+    default:
+      console.warn(`WARNING: Unknown SESSION_STORE '${type}', using the file store`);
+      return new FileSessionStore(path.join(DATA_DIR, 'sessions'));
+  }
+}
+
+const sessionStore = createSessionStore((process.env.SESSION_STORE || 'file').trim().toLowerCase());
+
+// Tags every bank question can be filtered by
+const QUESTION_BANK_TAGS = ['courseCode', 'unit', 'bloomLevel', 'difficulty', 'type'];
+
+// A list of records kept in one JSON file under the given key. The file is
+// read once and kept in memory; every change rewrites it through a temporary
+// file, one write at a time, so a crash never leaves a half-written file.
+class JsonFileStore {
+  constructor(filePath, key) {
+    this.filePath = filePath;
+    this.key = key;
+    this.entries = null;
+    this.loading = null;
+    this.pendingWrite = Promise.resolve();
+  }
+
+  // Concurrent first calls share one read, so they all get the same list
+  // and no change is lost to a second read replacing it. A failed read is
+  // retried on the next call.
+  load() {
+    if (!this.loading) {
+      this.loading = (async () => {
+        const exists = await fs.pathExists(this.filePath);
+        this.entries = exists ? ((await fs.readJson(this.filePath))[this.key] || []) : [];
+        console.log(`${path.basename(this.filePath)}: ${this.entries.length} ${this.key} loaded`);
+        return this.entries;
+      })();
+      this.loading.catch(() => {
+        this.loading = null;
+      });
+    }
+    return this.loading;
+  }
+
+  persist() {
+    const write = async () => {
+      const tempPath = `${this.filePath}.tmp`;
+      await fs.ensureDir(path.dirname(this.filePath));
+      await fs.writeJson(tempPath, { version: 1, [this.key]: this.entries }, { spaces: 2 });
+      await fs.move(tempPath, this.filePath, { overwrite: true });
+    };
+    this.pendingWrite = this.pendingWrite.then(write, write);
+    return this.pendingWrite;
+  }
+}
+
+// Question bank: saved questions with their tags
+class QuestionBank extends JsonFileStore {
+  constructor(filePath) {
+    super(filePath, 'questions');
+  }
+
+  // Save questions with their tags. courseCode and unit come from the shared
+  // tags (or the question's own tags, or its syllabus unit); Bloom level,
+  // difficulty and type from the question. Questions already banked for the course are skipped.
+  async save(questions, tags = {}, sessionId = null) {
+    const entries = await this.load();
+    const normalize = (text) => String(text || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+    const saved = [];
+    const skipped = [];
+
+    questions.forEach(question => {
+      const questionTags = this.buildTags(question, { unit: question.unit, ...tags, ...(question.tags || {}) });
+      const key = normalize(question.content);
+      const duplicate = entries.find(entry =>
+        normalize(entry.content) === key && entry.tags.courseCode === questionTags.courseCode);
+      if (duplicate) {
+        skipped.push({ id: question.id, bankId: duplicate.id, reason: 'Already in the question bank' });
+        return;
+      }
+
+      const now = new Date().toISOString();
+      const entry = {
+        ...question,
+        id: uuidv4(),
+        originalId: question.id || null,
+        tags: questionTags,
+        sessionId,
+        savedAt: now,
+        updatedAt: now
+      };
+      delete entry.validation;
+      entries.push(entry);
+      saved.push(entry);
+    });
+
+    if (saved.length > 0) {
+      await this.persist();
+    }
+    return { saved, skipped };
+  }
+
+  buildTags(question, tags) {
+    return {
+      courseCode: tags.courseCode ? String(tags.courseCode).trim() : null,
+      unit: tags.unit !== undefined && tags.unit !== null && tags.unit !== '' ? String(tags.unit).trim() : null,
+      bloomLevel: question.bloomLevel,
+      difficulty: question.difficulty || null,
+      type: question.type
+    };
+  }
+
+  // Filter by any tag (comma-separated values match any of them) and by
+  // text, which must contain every word of the query
+  async search(filters = {}) {
+    const matches = await this.findAll(filters);
+    const offset = Math.max(0, parseInt(filters.offset, 10) || 0);
+    const limit = Math.min(500, Math.max(1, parseInt(filters.limit, 10) || 50));
+    return {
+      total: matches.length,
+      offset,
+      limit,
+      questions: matches.slice(offset, offset + limit)
+    };
+  }
+
+  // Every entry matching the filters, unpaged
+  async findAll(filters = {}) {
+    const entries = await this.load();
+    const wanted = {};
+    QUESTION_BANK_TAGS.forEach(tag => {
+      if (filters[tag]) {
+        wanted[tag] = String(filters[tag]).split(',').map(value => value.trim().toLowerCase()).filter(Boolean);
+      }
+    });
+    const words = String(filters.q || '').toLowerCase().split(/\s+/).filter(Boolean);
+
+    return entries.filter(entry => {
+      const tagsMatch = Object.entries(wanted).every(([tag, values]) =>
+        values.includes(String(entry.tags[tag] || '').toLowerCase()));
+      if (!tagsMatch) return false;
+
+      const text = `${entry.content} ${entry.answer || ''} ${(entry.options || []).join(' ')}`.toLowerCase();
+      return words.every(word => text.includes(word));
+    });
+  }
+
+  async get(id) {
+    const entries = await this.load();
+    return entries.find(entry => entry.id === id) || null;
+  }
+
+  // Only courseCode and unit can be retagged; the other tags follow the question
+  async updateTags(id, tags) {
+    const entry = await this.get(id);
+    if (!entry) return null;
+
+    entry.tags = this.buildTags(entry, { ...entry.tags, ...tags });
+    entry.updatedAt = new Date().toISOString();
+    await this.persist();
+    return entry;
+  }
+
+  async remove(id) {
+    const entries = await this.load();
+    const index = entries.findIndex(entry => entry.id === id);
+    if (index === -1) return false;
+
+    entries.splice(index, 1);
+    await this.persist();
+    return true;
+  }
+
+  // Copies of bank questions ready to be placed on a paper
+  async take(ids) {
+    const entries = await this.load();
+    const questions = [];
+    const missing = [];
+    ids.forEach(id => {
+      const entry = entries.find(item => item.id === id);
+      if (!entry) {
+        missing.push(id);
+        return;
+      }
+      const { tags, sessionId, savedAt, updatedAt, originalId, ...question } = entry;
+      questions.push({ ...question, ...(tags.unit ? { unit: tags.unit } : {}), id: uuidv4(), bankId: entry.id });
+    });
+    return { questions, missing };
+  }
+}
+
+const questionBank = new QuestionBank(path.join(DATA_DIR, 'question-bank.json'));
+
+// Saved blueprints; the built-in ones are always available and read-only
+class BlueprintStore extends JsonFileStore {
+  constructor(filePath) {
+    super(filePath, 'blueprints');
+  }
+
+  async list() {
+    const saved = await this.load();
+    return [
+      ...BUILT_IN_BLUEPRINTS.map(blueprint => ({ ...validateBlueprint(blueprint), builtIn: true })),
+      ...saved.map(blueprint => ({ ...blueprint, builtIn: false }))
+    ];
+  }
+
+  async get(name) {
+    const blueprints = await this.list();
+    return blueprints.find(blueprint => blueprint.name === name) || null;
+  }
+
+  // Accepts a blueprint object or the name of a saved one
+  async resolve(blueprint) {
+    if (typeof blueprint === 'string') {
+      const saved = await this.get(blueprint);
+      if (!saved) {
+        throw new Error(`Blueprint '${blueprint}' not found`);
+      }
+      return saved;
+    }
+    return validateBlueprint(blueprint);
+  }
+
+  async save(name, blueprint) {
+    const entries = await this.load();
+    const validated = {
+      ...validateBlueprint({ ...blueprint, name }),
+      updatedAt: new Date().toISOString()
+    };
+    const index = entries.findIndex(entry => entry.name === name);
+    if (index === -1) {
+      entries.push(validated);
+    } else {
+      entries[index] = validated;
+    }
+    await this.persist();
+    return validated;
+  }
+
+  async remove(name) {
+    const entries = await this.load();
+    const index = entries.findIndex(entry => entry.name === name);
+    if (index === -1) return false;
+
+    entries.splice(index, 1);
+    await this.persist();
+    return true;
+  }
+}
 
-// Multi-document session storage
-const multiDocSessions = new Map();
+const blueprintStore = new BlueprintStore(path.join(DATA_DIR, 'blueprints.json'));
 
 // AI Question Generator Class
 class AIQuestionGenerator {
-  constructor() {
+  constructor(aiProvider = activeAIProvider) {
+    this.aiProvider = aiProvider;
     this.content = '';
     this.visualElements = [];
     this.documents = []; // Array to store multiple documents
   }
 
-  async extractContent(filePath, fileType) {
+  async extractContent(filePath, fileType, fileName = path.basename(filePath), options = {}) {
     try {
-      if (fileType === 'application/pdf') {
-        const dataBuffer = await fs.readFile(filePath);
-        const data = await pdfParse(dataBuffer);
-        this.content = data.text;
-        
-        // Extract images from PDF
-        await this.extractImagesFromPDF(filePath);
-      } else if (fileType.startsWith('image/')) {
-        // OCR for images
-        await this.extractTextFromImage(filePath);
-      }
+      // Single uploads are stored as a one-document session so that chunk
+      // metadata (e.g. slide numbers) is kept alongside the plain content
+      const documentData = await this.addDocument(filePath, fileType, fileName, options);
+      this.content = documentData.content;
       
       return this.content;
     } catch (error) {
@@ -196,29 +1949,57 @@ class AIQuestionGenerator {
     }
   }
 
-  async addDocument(filePath, fileType, fileName) {
+  async addDocument(filePath, fileType, fileName, options = {}) {
     try {
       const documentData = {
         id: uuidv4(),
         fileName: fileName,
         content: '',
+        chunks: [],
         visualElements: [],
         filePath: filePath,
         fileType: fileType
       };
 
       if (fileType === 'application/pdf') {
-        const dataBuffer = await fs.readFile(filePath);
-        const data = await pdfParse(dataBuffer);
-        documentData.content = data.text;
+        // Text layer per page, with OCR for pages that turn out to be scanned
+        const pages = await this.extractPdfPages(filePath, options.onProgress);
+        documentData.pages = pages.map(({ page, method, confidence, text, error }) => ({
+          page,
+          method,
+          confidence,
+          characters: text.length,
+          ...(error ? { error } : {})
+        }));
+        documentData.chunks = pages.map(page => ({ page: page.page, text: page.text }));
+        documentData.content = documentData.chunks.map(chunk => chunk.text).join('\n\n');
         
         // Extract images from PDF
         await this.extractImagesFromPDF(filePath);
         documentData.visualElements = [...this.visualElements];
+      } else if (WORD_MIME_TYPES.includes(fileType)) {
+        documentData.content = await this.extractTextFromDocx(filePath);
+      } else if (fileType === POWERPOINT_MIME_TYPE) {
+        const slides = await this.extractSlidesFromPptx(filePath);
+        documentData.slides = slides;
+        documentData.chunks = slides.map(slide => ({
+          slide: slide.slide,
+          text: this.formatSlideText(slide)
+        }));
+        documentData.content = documentData.chunks.map(chunk => chunk.text).join('\n\n');
       } else if (fileType.startsWith('image/')) {
         // OCR for images
-        await this.extractTextFromImage(filePath);
+        const { confidence } = await this.extractTextFromImage(filePath);
         documentData.content = this.content;
+        documentData.pages = [{ page: 1, method: 'ocr', confidence, characters: this.content.length }];
+        if (options.onProgress) {
+          options.onProgress({ page: 1, totalPages: 1, method: 'ocr', confidence });
+        }
+      }
+
+      // Documents without natural pages or slides are cited as a whole
+      if (documentData.chunks.length === 0 && documentData.content.trim()) {
+        documentData.chunks = [{ text: documentData.content }];
       }
 
       this.documents.push(documentData);
@@ -242,10 +2023,341 @@ class AIQuestionGenerator {
       id: doc.id,
       fileName: doc.fileName,
       contentLength: doc.content.length,
-      fileType: doc.fileType
+      fileType: doc.fileType,
+      slideCount: doc.slides ? doc.slides.length : undefined
     }));
   }
 
+  // Cite the document chunk a piece of text most likely came from: document,
+  // page or slide, and the sentence that best supports supportingText. With
+  // exact set, only chunks containing the text verbatim are considered.
+  locateSource(text, { exact = false, supportingText = text } = {}) {
+    const match = this.findSourceChunk(text, exact);
+    if (!match) return null;
+
+    return {
+      documentId: match.doc.id,
+      fileName: match.doc.fileName,
+      page: match.chunk.page,
+      slide: match.chunk.slide,
+      excerpt: this.extractSupportingExcerpt(match.chunk.text, supportingText),
+      matchedBy: exact ? 'section' : 'similarity'
+    };
+  }
+
+  findSourceChunk(text, exact) {
+    if (!text || typeof text !== 'string') return null;
+
+    const candidates = [];
+    this.documents.forEach(doc => {
+      (doc.chunks || []).forEach(chunk => candidates.push({ doc, chunk }));
+    });
+    if (candidates.length === 0) return null;
+
+    let best = candidates.find(({ chunk }) => chunk.text.includes(text.trim()));
+    if (!best && !exact) {
+      const tokens = new Set((text.toLowerCase().match(/\b\w{4,}\b/g) || []));
+      let bestScore = 1; // require at least two shared terms
+      candidates.forEach(candidate => {
+        const chunkTokens = new Set(candidate.chunk.text.toLowerCase().match(/\b\w{4,}\b/g) || []);
+        let score = 0;
+        tokens.forEach(token => {
+          if (chunkTokens.has(token)) score++;
+        });
+        if (score > bestScore) {
+          bestScore = score;
+          best = candidate;
+        }
+      });
+    }
+    return best || null;
+  }
+
+  // Pick the sentence of a chunk sharing the most terms with the query text
+  extractSupportingExcerpt(chunkText, queryText) {
+    const sentences = chunkText
+      .split(/(?<=[.!?])\s+|\n+/)
+      .map(sentence => sentence.replace(/\s+/g, ' ').trim())
+      .filter(sentence => sentence.length > 20);
+    if (sentences.length === 0) return chunkText.trim().substring(0, 300);
+
+    const queryTokens = new Set((queryText || '').toLowerCase().match(/\b\w{4,}\b/g) || []);
+    let best = sentences[0];
+    let bestScore = 0;
+    sentences.forEach(sentence => {
+      const tokens = new Set(sentence.toLowerCase().match(/\b\w{4,}\b/g) || []);
+      const score = [...tokens].filter(token => queryTokens.has(token)).length;
+      if (score > bestScore) {
+        bestScore = score;
+        best = sentence;
+      }
+    });
+
+    return best.length > 300 ? `${best.substring(0, 297)}...` : best;
+  }
+
+  // Check an AI-provided citation against the uploaded documents. A quoted
+  // excerpt found verbatim pins the source; otherwise fall back to similarity.
+  resolveAISource(aiSource, question) {
+    const normalize = (text) => String(text || '').replace(/\s+/g, ' ').trim().toLowerCase();
+    const excerpt = aiSource && normalize(aiSource.excerpt);
+
+    if (excerpt) {
+      // Prefer the document the model named, but accept a match anywhere
+      const documents = [...this.documents].sort((a, b) =>
+        (b.fileName === aiSource.fileName) - (a.fileName === aiSource.fileName));
+      for (const doc of documents) {
+        const chunk = (doc.chunks || []).find(candidate => normalize(candidate.text).includes(excerpt));
+        if (chunk) {
+          return {
+            documentId: doc.id,
+            fileName: doc.fileName,
+            page: chunk.page,
+            slide: chunk.slide,
+            excerpt: String(aiSource.excerpt).trim(),
+            matchedBy: 'excerpt'
+          };
+        }
+      }
+    }
+
+    return this.locateSource(`${question.content} ${question.answer || ''}`);
+  }
+
+  // Location label put before every chunk in AI prompts, so the model can
+  // cite the document and page or slide each question uses
+  formatSourceLabel(doc, chunk) {
+    const location = chunk.slide ? `, slide ${chunk.slide}` : chunk.page ? `, page ${chunk.page}` : '';
+    return `[Source: ${doc.fileName}${location}]`;
+  }
+
+  // Split the material into prompt-sized sections. Consecutive chunks of a
+  // document are merged up to maxChars and oversized chunks are split at
+  // paragraph (then sentence) boundaries; every piece keeps its source label.
+  buildGenerationSections(maxChars = AI_SECTION_MAX_CHARS) {
+    const pieces = [];
+    if (this.documents.length > 0) {
+      this.documents.forEach(doc => {
+        (doc.chunks || []).forEach(chunk => {
+          const label = this.formatSourceLabel(doc, chunk);
+          this.splitTextToLength(chunk.text, maxChars - label.length - 1).forEach(text => {
+            pieces.push({ documentId: doc.id, text: `${label}\n${text}` });
+          });
+        });
+      });
+    } else if (this.content) {
+      this.splitTextToLength(this.content, maxChars).forEach(text => {
+        pieces.push({ documentId: null, text });
+      });
+    }
+
+    const sections = [];
+    pieces.forEach(piece => {
+      const last = sections[sections.length - 1];
+      if (last && last.documentId === piece.documentId && last.text.length + piece.text.length + 2 <= maxChars) {
+        last.text += `\n\n${piece.text}`;
+      } else {
+        sections.push({ ...piece });
+      }
+    });
+
+    return sections;
+  }
+
+  splitTextToLength(text, maxChars) {
+    const paragraphs = [];
+    text.split(/\n\s*\n/).map(paragraph => paragraph.trim()).filter(Boolean).forEach(paragraph => {
+      let rest = paragraph;
+      while (rest.length > maxChars) {
+        const sentenceEnd = rest.lastIndexOf('. ', maxChars);
+        const cut = sentenceEnd > maxChars / 2 ? sentenceEnd + 1 : maxChars;
+        paragraphs.push(rest.substring(0, cut).trim());
+        rest = rest.substring(cut).trim();
+      }
+      if (rest) paragraphs.push(rest);
+    });
+
+    const parts = [];
+    paragraphs.forEach(paragraph => {
+      const last = parts.length - 1;
+      if (last >= 0 && parts[last].length + paragraph.length + 2 <= maxChars) {
+        parts[last] += `\n\n${paragraph}`;
+      } else {
+        parts.push(paragraph);
+      }
+    });
+    return parts;
+  }
+
+  // Decide how many questions, and of which Bloom levels, each section gets.
+  // Questions follow section length unless sectionCounts fixes them; levels
+  // are interleaved so each section gets a spread of levels rather than a
+  // single one.
+  planSectionQuestions(sections, levelCounts, totalQuestions, sectionCounts = null) {
+    const remaining = { ...levelCounts };
+    const levels = [];
+    while (levels.length < totalQuestions && Object.values(remaining).some(count => count > 0)) {
+      Object.keys(BLOOM_LEVELS).forEach(level => {
+        if (remaining[level] > 0 && levels.length < totalQuestions) {
+          levels.push(level);
+          remaining[level]--;
+        }
+      });
+    }
+    const plannedLevels = Object.keys(levelCounts).filter(level => levelCounts[level] > 0);
+    for (let i = 0; levels.length < totalQuestions; i++) {
+      levels.push(plannedLevels.length > 0 ? plannedLevels[i % plannedLevels.length] : 'REMEMBER');
+    }
+
+    const counts = sectionCounts || spreadQuestions(levels.length, sections.map(section => section.text.length));
+
+    let next = 0;
+    return sections
+      .map((section, index) => {
+        const sectionLevelCounts = {};
+        levels.slice(next, next + counts[index]).forEach(level => {
+          sectionLevelCounts[level] = (sectionLevelCounts[level] || 0) + 1;
+        });
+        next += counts[index];
+        return { section, questionCount: counts[index], levelCounts: sectionLevelCounts };
+      })
+      .filter(item => item.questionCount > 0);
+  }
+
+  // Generate over the whole material: plan per section, generate each section
+  // separately, then merge, deduplicate and fill gaps in the distribution.
+  // With a syllabus, each unit gets questions by its weightage, shared among
+  // the sections that match it.
+  async generateChunkedAIQuestions(requirements) {
+    const { totalQuestions, bloomDistribution, syllabus } = requirements;
+    const levelCounts = requirements.levelCounts || this.calculateBloomDistribution(bloomDistribution, totalQuestions);
+    const sections = this.buildGenerationSections();
+    if (sections.length === 0) {
+      throw new Error('No content available for AI generation');
+    }
+    
+    let plan;
+    if (syllabus) {
+      const unitSections = [];
+      const sectionCounts = [];
+      const unitCounts = apportion(totalQuestions, syllabus.units.map(unit => unit.weightage));
+      matchSectionsToUnits(sections.map(section => section.text), syllabus.units).forEach((match, index) => {
+        if (!match.matched) {
+          console.log(`Chunked generation: no material matches unit '${match.unit.name}', using the closest section`);
+        }
+        const counts = spreadQuestions(unitCounts[index], match.sections.map(i => sections[i].text.length));
+        match.sections.forEach((sectionIndex, i) => {
+          unitSections.push({ ...sections[sectionIndex], unit: match.unit });
+          sectionCounts.push(counts[i]);
+        });
+      });
+      plan = this.planSectionQuestions(unitSections, levelCounts, totalQuestions, sectionCounts);
+    } else {
+      plan = this.planSectionQuestions(sections, levelCounts, totalQuestions);
+    }
+    console.log(`Chunked generation: ${sections.length} sections, ${plan.length} with questions`);
+
+    const generated = [];
+    let failures = 0;
+    for (let i = 0; i < plan.length; i++) {
+      try {
+        const { unit } = plan[i].section;
+        const result = await this.generateAIQuestions(plan[i].section.text, {
+          ...requirements,
+          totalQuestions: plan[i].questionCount,
+          levelCounts: plan[i].levelCounts,
+          sectionNumber: i + 1,
+          sectionCount: plan.length,
+          unit
+        });
+        if (unit) {
+          result.questions.forEach(question => {
+            question.unit = unit.name;
+          });
+        }
+        generated.push(...result.questions);
+      } catch (error) {
+        failures++;
+        console.log(`Chunked generation: section ${i + 1} failed:`, error.message);
+      }
+    }
+    
+    if (failures === plan.length) {
+      throw new Error('AI generation failed for every section');
+    }
+
+    const merged = this.mergeGeneratedQuestions(generated, levelCounts, { ...requirements, totalQuestions });
+    console.log(`Chunked generation: ${generated.length} questions generated, ${merged.duplicatesRemoved} duplicates removed`);
+    return merged;
+  }
+
+  mergeGeneratedQuestions(questions, levelCounts, requirements) {
+    const normalize = (text) => String(text || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+
+    // Drop repeated questions and make ids unique across sections
+    const seenText = new Set();
+    const seenIds = new Set();
+    const unique = [];
+    questions.forEach(question => {
+      const key = normalize(question.content);
+      if (!key || seenText.has(key)) return;
+      seenText.add(key);
+      if (seenIds.has(question.id)) question.id = uuidv4();
+      seenIds.add(question.id);
+      unique.push(question);
+    });
+
+    const checked = this.enforceBloomDistribution(unique, levelCounts, requirements);
+    return {
+      questions: checked.questions,
+      duplicatesRemoved: questions.length - unique.length
+    };
+  }
+
+  // Check questions against the per-level targets: keep up to the target for
+  // each level, top up missing levels with rule-based questions and drop the
+  // surplus, so the result matches the requested distribution exactly
+  enforceBloomDistribution(questions, levelCounts, requirements) {
+    const { totalQuestions, questionTypes, difficulty = 'medium' } = requirements;
+
+    // Keep up to the planned count per level; set the rest aside
+    const selected = [];
+    const extras = [];
+    questions.forEach(question => {
+      const taken = selected.filter(q => q.bloomLevel === question.bloomLevel).length;
+      if (taken < (levelCounts[question.bloomLevel] || 0)) {
+        selected.push(question);
+      } else {
+        extras.push(question);
+      }
+    });
+
+    // Fill levels that came up short with rule-based questions
+    const contentSections = this.splitContentIntoSections();
+    const types = questionTypes && questionTypes.length ? questionTypes : [QUESTION_TYPES.MULTIPLE_CHOICE];
+    Object.entries(levelCounts).forEach(([level, count]) => {
+      let have = selected.filter(q => q.bloomLevel === level).length;
+      while (have < count && selected.length < totalQuestions) {
+        const question = this.tryRuleBasedQuestion(level, contentSections, types, difficulty);
+        if (!question) break;
+        question.validation = { status: 'replaced', errors: [`Too few ${BLOOM_LEVELS[level].name} questions were generated`] };
+        selected.push(question);
+        have++;
+      }
+    });
+    while (selected.length < totalQuestions && extras.length > 0) {
+      selected.push(extras.shift());
+    }
+
+    const levelOrder = Object.keys(BLOOM_LEVELS);
+    return {
+      questions: selected
+        .slice(0, totalQuestions)
+        .sort((a, b) => levelOrder.indexOf(a.bloomLevel) - levelOrder.indexOf(b.bloomLevel)),
+      surplus: extras.length
+    };
+  }
+
   async extractImagesFromPDF(filePath) {
     try {
       const options = {
@@ -280,114 +2392,624 @@ class AIQuestionGenerator {
 
   async extractTextFromImage(filePath) {
     try {
-      const worker = await createWorker();
-      await worker.loadLanguage('eng');
-      await worker.initialize('eng');
+      const worker = await this.createOcrWorker();
       
-      const { data: { text } } = await worker.recognize(filePath);
+      const { data: { text, confidence } } = await worker.recognize(filePath);
       this.content = text;
       
       await worker.terminate();
+      return { text, confidence: Math.round(confidence) };
     } catch (error) {
       console.error('Error extracting text from image:', error);
       throw error;
     }
   }
 
+  async createOcrWorker() {
+    // Without an errorHandler tesseract.js rethrows worker errors (e.g. failing
+    // to download language data) outside the promise chain
+    const worker = await createWorker({
+      errorHandler: (error) => console.error('OCR worker error:', error)
+    });
+    try {
+      await worker.loadLanguage('eng');
+      await worker.initialize('eng');
+    } catch (error) {
+      await worker.terminate();
+      throw error;
+    }
+    return worker;
+  }
+
+  // Read the text layer of every PDF page and OCR the pages that have little
+  // or none, reusing a single Tesseract worker. Pages are returned in order.
+  async extractPdfPages(filePath, onProgress) {
+    const dataBuffer = await fs.readFile(filePath);
+    const pageTexts = [];
+    
+    const data = await pdfParse(dataBuffer, {
+      // Same line handling as pdf-parse's default renderer, but keeps pages apart
+      pagerender: (pageData) => pageData
+        .getTextContent({ normalizeWhitespace: false, disableCombineTextItems: false })
+        .then(textContent => {
+          let lastY;
+          let text = '';
+          textContent.items.forEach(item => {
+            text += (lastY === item.transform[5] || !lastY) ? item.str : `\n${item.str}`;
+            lastY = item.transform[5];
+          });
+          pageTexts[pageData.pageIndex] = text;
+          return text;
+        })
+    });
+
+    const pages = [];
+    let worker = null;
+    let ocrUnavailable = null;
+    
+    try {
+      for (let pageNumber = 1; pageNumber <= data.numpages; pageNumber++) {
+        const text = (pageTexts[pageNumber - 1] || '').trim();
+        const page = { page: pageNumber, text, method: 'text', confidence: null };
+        
+        if (text.replace(/\s+/g, '').length < SCANNED_PAGE_MIN_CHARS) {
+          try {
+            if (ocrUnavailable) throw ocrUnavailable;
+            if (!worker) {
+              worker = await this.createOcrWorker().catch(error => {
+                ocrUnavailable = error;
+                throw error;
+              });
+            }
+            
+            const ocr = await this.ocrPdfPage(filePath, pageNumber, worker);
+            if (ocr.text.length > text.length) {
+              page.text = ocr.text;
+            }
+            page.method = 'ocr';
+            page.confidence = ocr.confidence;
+            console.log(`OCR: page ${pageNumber}/${data.numpages} recognised with ${ocr.confidence}% confidence`);
+          } catch (error) {
+            // tesseract.js rejects with plain strings rather than Error objects
+            const message = error && error.message ? error.message : String(error);
+            console.error(`OCR failed for page ${pageNumber}:`, message);
+            page.method = 'ocr-failed';
+            page.error = message;
+          }
+        }
+        
+        pages.push(page);
+        if (onProgress) {
+          onProgress({ page: pageNumber, totalPages: data.numpages, method: page.method, confidence: page.confidence });
+        }
+      }
+    } finally {
+      if (worker) await worker.terminate();
+    }
+    
+    return pages;
+  }
+
+  async ocrPdfPage(filePath, pageNumber, worker) {
+    const convert = fromPath(filePath, {
+      density: 300,
+      saveFilename: `ocr-${path.basename(filePath, path.extname(filePath))}`,
+      savePath: path.dirname(filePath),
+      format: 'png',
+      width: 2480,
+      height: 3508,
+      preserveAspectRatio: true
+    });
+    
+    const image = await convert(pageNumber, { responseType: 'image' });
+    try {
+      const { data: { text, confidence } } = await worker.recognize(image.path);
+      return { text: text.trim(), confidence: Math.round(confidence) };
+    } finally {
+      await fs.remove(image.path);
+    }
+  }
+
+  async extractSlidesFromPptx(filePath) {
+    try {
+      const zip = await JSZip.loadAsync(await fs.readFile(filePath));
+      
+      // Slide order comes from presentation.xml; file names are not reliable
+      let slidePaths = [];
+      const presentation = zip.file('ppt/presentation.xml');
+      const presentationRels = zip.file('ppt/_rels/presentation.xml.rels');
+      if (presentation && presentationRels) {
+        const targets = this.readRelationshipTargets(await presentationRels.async('string'), 'ppt');
+        const presentationXml = await presentation.async('string');
+        slidePaths = [...presentationXml.matchAll(/<p:sldId\b[^>]*r:id="([^"]+)"/g)]
+          .map(match => targets[match[1]])
+          .filter(Boolean);
+      }
+      if (slidePaths.length === 0) {
+        slidePaths = Object.keys(zip.files)
+          .filter(name => /^ppt\/slides\/slide\d+\.xml$/.test(name))
+          .sort((a, b) => Number(a.match(/(\d+)\.xml$/)[1]) - Number(b.match(/(\d+)\.xml$/)[1]));
+      }
+
+      const slides = [];
+      for (let i = 0; i < slidePaths.length; i++) {
+        const slideFile = zip.file(slidePaths[i]);
+        if (!slideFile) continue;
+        
+        const shapes = this.readSlideShapes(await slideFile.async('string'));
+        const titleShape = shapes.find(shape => shape.placeholder === 'title' || shape.placeholder === 'ctrTitle');
+        const bullets = [];
+        shapes
+          .filter(shape => shape !== titleShape && !['sldNum', 'dt', 'ftr'].includes(shape.placeholder))
+          .forEach(shape => bullets.push(...shape.paragraphs));
+
+        // Speaker notes live in a separate part linked from the slide's rels
+        let notes = '';
+        const slideRels = zip.file(slidePaths[i].replace(/slides\/(slide\d+\.xml)$/, 'slides/_rels/$1.rels'));
+        if (slideRels) {
+          const targets = this.readRelationshipTargets(await slideRels.async('string'), 'ppt/slides');
+          const notesPath = Object.values(targets).find(target => /notesSlides\/notesSlide\d+\.xml$/.test(target));
+          const notesFile = notesPath && zip.file(notesPath);
+          if (notesFile) {
+            notes = this.readSlideShapes(await notesFile.async('string'))
+              .filter(shape => shape.placeholder === 'body')
+              .map(shape => shape.paragraphs.map(paragraph => paragraph.text).join(' '))
+              .join(' ')
+              .trim();
+          }
+        }
+
+        slides.push({
+          slide: i + 1,
+          title: titleShape ? titleShape.paragraphs.map(paragraph => paragraph.text).join(' ') : '',
+          bullets,
+          notes
+        });
+      }
+
+      return slides;
+    } catch (error) {
+      console.error('Error extracting slides from PowerPoint:', error);
+      throw error;
+    }
+  }
+
+  // Map relationship ids to zip paths, resolving targets relative to baseDir
+  readRelationshipTargets(relsXml, baseDir) {
+    const targets = {};
+    [...relsXml.matchAll(/<Relationship\b[^>]*>/g)].forEach(([tag]) => {
+      const id = (tag.match(/\bId="([^"]+)"/) || [])[1];
+      const target = (tag.match(/\bTarget="([^"]+)"/) || [])[1];
+      if (!id || !target) return;
+      
+      const parts = target.startsWith('/') ? [] : baseDir.split('/');
+      target.replace(/^\//, '').split('/').forEach(part => {
+        if (part === '..') parts.pop();
+        else if (part !== '.') parts.push(part);
+      });
+      targets[id] = parts.join('/');
+    });
+    return targets;
+  }
+
+  // Read text shapes and table cells from slide XML
+  readSlideShapes(slideXml) {
+    const decode = (text) => text
+      .replace(/&lt;/g, '<')
+      .replace(/&gt;/g, '>')
+      .replace(/&quot;/g, '"')
+      .replace(/&apos;/g, "'")
+      .replace(/&amp;/g, '&');
+
+    const readParagraphs = (xml) => [...xml.replace(/<a:p\s*\/>/g, '').matchAll(/<a:p\b[^>]*>([\s\S]*?)<\/a:p>/g)]
+      .map(([, body]) => ({
+        level: Number((body.match(/<a:pPr\b[^>]*\blvl="(\d+)"/) || [])[1] || 0),
+        text: decode([...body.replace(/<a:br\s*\/>/g, '<a:t> </a:t>').matchAll(/<a:t(?:\s[^>]*)?>([^<]*)<\/a:t>/g)].map(run => run[1]).join('')).trim()
+      }))
+      .filter(paragraph => paragraph.text);
+
+    const shapes = [...slideXml.matchAll(/<p:sp\b[\s\S]*?<\/p:sp>/g)].map(([xml]) => ({
+      placeholder: (xml.match(/<p:ph\b[^>]*\btype="([^"]+)"/) || [])[1] || (/<p:ph\b/.test(xml) ? 'body' : ''),
+      paragraphs: readParagraphs(xml)
+    }));
+
+    // Tables are graphic frames; keep each row as one '|' separated line
+    [...slideXml.matchAll(/<a:tbl\b[\s\S]*?<\/a:tbl>/g)].forEach(([tableXml]) => {
+      const rows = [...tableXml.matchAll(/<a:tr\b[\s\S]*?<\/a:tr>/g)].map(([rowXml]) =>
+        [...rowXml.matchAll(/<a:tc\b[\s\S]*?<\/a:tc>/g)]
+          .map(([cellXml]) => readParagraphs(cellXml).map(paragraph => paragraph.text).join(' '))
+          .join(' | ')
+      );
+      shapes.push({
+        placeholder: '',
+        paragraphs: rows.filter(row => row.replace(/[|\s]/g, '')).map(row => ({ level: 0, text: `| ${row} |`, table: true }))
+      });
+    });
+
+    return shapes;
+  }
+
+  // Render a slide as a single paragraph block: 'Slide N: Title', bullets, notes
+  formatSlideText(slide) {
+    const lines = [`Slide ${slide.slide}: ${slide.title || 'Untitled'}`];
+    slide.bullets.forEach(bullet => {
+      lines.push(bullet.table ? bullet.text : `${'  '.repeat(bullet.level)}- ${bullet.text}`);
+    });
+    if (slide.notes) {
+      lines.push(`Speaker notes: ${slide.notes}`);
+    }
+    return lines.join('\n');
+  }
+
+  async extractTextFromDocx(filePath) {
+    try {
+      const dataBuffer = await fs.readFile(filePath);
+      
+      // .docx files are zip archives; legacy binary .doc files cannot be parsed
+      if (dataBuffer.slice(0, 2).toString() !== 'PK') {
+        const error = new Error('Legacy Word (.doc) files are not supported. Please save the document as .docx and upload it again.');
+        error.code = UNSUPPORTED_DOCUMENT;
+        throw error;
+      }
+      
+      const { value: html, messages } = await mammoth.convertToHtml({ buffer: dataBuffer });
+      messages
+        .filter(message => message.type === 'error')
+        .forEach(message => console.log('Word conversion warning:', message.message));
+      
+      return this.convertDocxHtmlToText(html);
+    } catch (error) {
+      console.error('Error extracting text from Word document:', error);
+      throw error;
+    }
+  }
+
+  // Flatten mammoth's HTML into plain text that keeps the document structure:
+  // headings become '#' lines, list items keep their bullets or numbers and
+  // table rows become '|' separated lines.
+  convertDocxHtmlToText(html) {
+    const decode = (text) => text
+      .replace(/&lt;/g, '<')
+      .replace(/&gt;/g, '>')
+      .replace(/&quot;/g, '"')
+      .replace(/&#39;/g, "'")
+      .replace(/&nbsp;/g, ' ')
+      .replace(/&amp;/g, '&');
+
+    const lines = [];
+    const lists = [];
+    let line = '';
+    let marker = '';
+    let heading = 0;
+    let row = null;
+    let cell = null;
+
+    const flushLine = (blankAfter) => {
+      const text = line.replace(/\s+/g, ' ').trim();
+      if (text) {
+        lines.push(heading ? `${'#'.repeat(heading)} ${text}` : `${marker}${text}`);
+        if (blankAfter) lines.push('');
+      }
+      line = '';
+      marker = '';
+    };
+
+    const tokens = html.match(/<[^>]+>|[^<]+/g) || [];
+    tokens.forEach(token => {
+      const tag = token.match(/^<(\/?)([a-zA-Z0-9]+)/);
+      if (!tag) {
+        if (cell !== null) {
+          cell += decode(token);
+        } else {
+          line += decode(token);
+        }
+        return;
+      }
+
+      const closing = tag[1] === '/';
+      const name = tag[2].toLowerCase();
+
+      if (/^h[1-6]$/.test(name)) {
+        if (closing) {
+          flushLine(true);
+          heading = 0;
+        } else {
+          flushLine(lists.length === 0);
+          heading = Number(name[1]);
+        }
+      } else if (name === 'p') {
+        if (cell !== null) {
+          if (closing) cell += ' ';
+        } else if (closing) {
+          flushLine(lists.length === 0);
+        }
+      } else if (name === 'br') {
+        if (cell !== null) {
+          cell += ' ';
+        } else {
+          flushLine(false);
+        }
+      } else if (name === 'ul' || name === 'ol') {
+        flushLine(false);
+        if (closing) {
+          lists.pop();
+          if (lists.length === 0) lines.push('');
+        } else {
+          lists.push({ ordered: name === 'ol', index: 0 });
+        }
+      } else if (name === 'li') {
+        flushLine(false);
+        if (!closing && lists.length > 0) {
+          const list = lists[lists.length - 1];
+          list.index += 1;
+          marker = `${'  '.repeat(lists.length - 1)}${list.ordered ? `${list.index}.` : '-'} `;
+        }
+      } else if (name === 'table') {
+        flushLine(true);
+        if (closing) lines.push('');
+      } else if (name === 'tr') {
+        if (closing && row) {
+          lines.push(`| ${row.join(' | ')} |`);
+          row = null;
+        } else if (!closing) {
+          row = [];
+        }
+      } else if (name === 'td' || name === 'th') {
+        if (closing && row) {
+          row.push(cell.replace(/\s+/g, ' ').trim());
+          cell = null;
+        } else if (!closing) {
+          cell = '';
+        }
+      }
+    });
+    flushLine(true);
+
+    return lines.join('\n').replace(/\n{3,}/g, '\n\n').trim();
+  }
+
   async generateQuestions(requirements) {
     const {
-      totalMarks = 50,
+      totalMarks,
+      markStep = 1,
       questionCount = 10,
       bloomDistribution = 'balanced',
       questionTypes = [QUESTION_TYPES.MULTIPLE_CHOICE],
       difficulty = 'medium',
+      syllabus = null,
+      duplicateCheck = { action: 'replace', threshold: DUPLICATE_SIMILARITY_THRESHOLD, reference: [] },
       useAI = true
     } = requirements;
 
-    // Try AI generation first if enabled and API key is available
-    if (useAI && GEMINI_API_KEY && genAI) {
+    // Exact target per level; a count map fixes the total question count
+    const levelCounts = this.calculateBloomDistribution(bloomDistribution, questionCount);
+    const targetCount = Object.values(levelCounts).reduce((sum, count) => sum + count, 0);
+    if (totalMarks !== undefined && totalMarks !== null) {
+      const budget = solveMarksBudget(new Array(targetCount).fill(1), totalMarks, { step: markStep });
+      if (!budget.feasible) {
+        throw new Error(budget.reason);
+      }
+    }
+
+    // Try AI generation first if enabled and a provider is configured
+    if (useAI && this.aiProvider && this.aiProvider.isConfigured()) {
       try {
         console.log('Using AI for question generation...');
         console.log('Content length:', this.content ? this.content.length : 'NO CONTENT');
         console.log('Content preview:', this.content ? this.content.substring(0, 200) + '...' : 'NO CONTENT');
-        const aiResult = await this.generateAIQuestions(this.content, {
-          totalQuestions: questionCount,
+        const aiResult = await this.generateChunkedAIQuestions({
+          totalQuestions: targetCount,
           questionTypes,
           bloomDistribution,
+          levelCounts,
           difficulty,
-          courseOutcomes: requirements.courseOutcomes
+          totalMarks,
+          courseOutcomes: requirements.courseOutcomes,
+          syllabus
         });
-        const withAnswers = this.ensureAnswers(aiResult.questions);
-        return withAnswers;
+        const checked = this.removeNearDuplicates(this.tagQuestionUnits(aiResult.questions, syllabus), duplicateCheck, { questionTypes, difficulty, syllabus });
+        return this.applyMarksBudget(this.ensureAnswers(checked), totalMarks, markStep, difficulty);
       } catch (error) {
         console.log('AI generation failed, falling back to rule-based generation:', error.message);
       }
     }
 
-    // Fallback to rule-based generation
+    // Fallback to rule-based generation, which needs a type with a template
+    // at every planned level (checked up front when the AI provider is off)
+    const gaps = ruleBasedTypeGaps(levelCounts, questionTypes);
+    if (gaps.length > 0) {
+      const error = new Error(ruleBasedTypesMessage(gaps, questionTypes));
+      error.code = NO_RULE_BASED_TYPE;
+      throw error;
+    }
     const questions = [];
-    const contentSections = this.splitContentIntoSections();
+    const slots = this.planRuleBasedSections(targetCount, syllabus);
     
     // Generate questions based on Bloom's Taxonomy distribution
-    const distribution = this.calculateBloomDistribution(bloomDistribution, questionCount);
-    
-    Object.entries(distribution).forEach(([level, count]) => {
+    Object.entries(levelCounts).forEach(([level, count]) => {
       for (let i = 0; i < count; i++) {
-        const question = this.generateQuestionByLevel(level, contentSections, questionTypes, difficulty);
+        const slot = slots[questions.length];
+        const question = this.generateQuestionByLevel(level, [slot.content], questionTypes, difficulty);
         if (question) {
+          if (slot.unit) question.unit = slot.unit;
           questions.push(question);
         }
       }
     });
 
-    return this.ensureAnswers(questions);
+    const checked = this.enforceBloomDistribution(questions, levelCounts, { ...requirements, totalQuestions: targetCount });
+    const tagged = this.tagQuestionUnits(checked.questions, syllabus);
+    const unique = this.removeNearDuplicates(tagged, duplicateCheck, { questionTypes, difficulty, syllabus });
+    return this.applyMarksBudget(this.ensureAnswers(unique), totalMarks, markStep, difficulty);
+  }
+
+  // Fit marks to the requested total; without a total each question keeps its own marks
+  applyMarksBudget(questions, totalMarks, step, difficulty) {
+    if (totalMarks === undefined || totalMarks === null) {
+      return questions;
+    }
+    const fitted = this.fitMarksToBudget(questions, totalMarks, step, difficulty);
+    if (!fitted.feasible) {
+      throw new Error(fitted.reason);
+    }
+    return fitted.questions;
+  }
+
+  splitContentIntoSections() {
+    // Handle undefined content
+    if (!this.content || typeof this.content !== 'string') {
+      return ['Sample content section for question generation'];
+    }
+    
+    // Split content into logical sections for question generation
+    const paragraphs = this.content.split('\n\n').filter(p => p.trim().length > 50);
+    return paragraphs.length > 0 ? paragraphs : ['Sample content section for question generation'];
+  }
+
+  // Check a generated set for near-duplicates. Each question is compared with
+  // the ones before it and with check.reference (question bank entries,
+  // earlier papers). With action 'replace', a near-duplicate is swapped for a
+  // fresh rule-based question of the same Bloom level and unit, trying its own
+  // type before the other allowed types; one that cannot be replaced, and every
+  // near-duplicate with action 'flag', is kept and marked with what it repeats.
+  removeNearDuplicates(questions, check, { questionTypes = [], difficulty = 'medium', syllabus = null } = {}) {
+    if (!check || check.action === 'off') return questions;
+    const seen = (check.reference || []).map(item => ({ ...item, shingles: questionShingles(item.text || item.content) }));
+    const findMatch = shingles => seen.reduce((best, item) => {
+      const similarity = shingleSimilarity(shingles, item.shingles);
+      return similarity >= check.threshold && (!best || similarity > best.similarity) ? { item, similarity } : best;
+    }, null);
+    const describeMatch = match => ({
+      similarity: Math.round(match.similarity * 100) / 100,
+      source: match.item.source,
+      matchId: match.item.id || null,
+      matchContent: match.item.content
+    });
+    const sourceLabels = { set: 'another question in the set', bank: 'a question bank entry', previous: 'a previously used question' };
+
+    const paragraphs = this.splitContentIntoSections();
+    const unitMatches = syllabus ? matchSectionsToUnits(paragraphs, syllabus.units) : null;
+
+    return questions.map(question => {
+      let result = question;
+      let shingles = questionShingles(duplicateText(question));
+      const match = findMatch(shingles);
+
+      if (match && check.action === 'replace') {
+        const unitMatch = unitMatches && unitMatches.find(entry => entry.unit.name === question.unit);
+        const sections = unitMatch ? unitMatch.sections.map(i => paragraphs[i]) : paragraphs;
+        const types = [question.type, ...questionTypes.filter(type =>
+          type !== question.type && RULE_BASED_TYPES[question.bloomLevel].includes(type))];
+        for (let attempt = 0; attempt < DUPLICATE_REPLACEMENT_ATTEMPTS && result === question; attempt++) {
+          const candidate = this.tryRuleBasedQuestion(question.bloomLevel, sections, [types[attempt % types.length]], question.difficulty || difficulty);
+          if (!candidate) continue;
+          const candidateShingles = questionShingles(duplicateText(candidate));
+          if (!findMatch(candidateShingles)) {
+            const duplicateOf = describeMatch(match);
+            result = {
+              ...candidate,
+              ...(question.unit ? { unit: question.unit } : {}),
+              validation: {
+                status: 'replaced',
+                errors: [`Near-duplicate of ${sourceLabels[duplicateOf.source]} (similarity ${duplicateOf.similarity})`],
+                duplicateOf
+              }
+            };
+            shingles = candidateShingles;
+          }
+        }
+      }
+      if (match && result === question) {
+        result = { ...question, duplicate: describeMatch(match) };
+      }
+
+      seen.push({ source: 'set', id: result.id, content: result.content, shingles });
+      return result;
+    });
+  }
+
+  // Material for each of count rule-based questions, spread evenly through
+  // the paragraphs instead of picked at random. With a syllabus, units get
+  // questions by weightage from the paragraphs that match them. The slots
+  // are shuffled so units and paragraphs mix across Bloom levels.
+  planRuleBasedSections(count, syllabus = null) {
+    const paragraphs = this.splitContentIntoSections();
+    const spread = (items, n) => Array.from({ length: n }, (_, i) =>
+      items[n <= items.length ? Math.floor(((i + 0.5) * items.length) / n) : i % items.length]);
+
+    if (!syllabus) {
+      return shuffleWithRandom(spread(paragraphs, count).map(content => ({ content, unit: null })), Math.random);
+    }
+    const unitCounts = apportion(count, syllabus.units.map(unit => unit.weightage));
+    const slots = matchSectionsToUnits(paragraphs, syllabus.units).flatMap((match, index) => {
+      if (!match.matched && unitCounts[index] > 0) {
+        console.log(`Rule-based generation: no material matches unit '${match.unit.name}', using the closest paragraph`);
+      }
+      return spread(match.sections.map(i => paragraphs[i]), unitCounts[index]).map(content => ({ content, unit: match.unit.name }));
+    });
+    return shuffleWithRandom(slots, Math.random);
+  }
+
+  // Tag questions that have no syllabus unit yet (e.g. rule-based top-ups)
+  // with the unit whose name and topics share most words with the question
+  // and its source. Questions that match no unit are left untagged.
+  tagQuestionUnits(questions, syllabus) {
+    if (!syllabus) return questions;
+    const names = new Set(syllabus.units.map(unit => unit.name));
+    const unitTerms = syllabus.units.map(unit => new Set(tokenizeForSimilarity(`${unit.name} ${unit.topics.join(' ')}`)));
+    return questions.map(question => {
+      if (names.has(question.unit)) return question;
+      const terms = new Set(tokenizeForSimilarity(
+        [question.content, question.answer, question.source && question.source.excerpt].filter(Boolean).join(' ')));
+      let best = null;
+      let bestScore = 0;
+      syllabus.units.forEach((unit, index) => {
+        const score = [...unitTerms[index]].filter(term => terms.has(term)).length / Math.max(unitTerms[index].size, 1);
+        if (score > bestScore) {
+          best = unit.name;
+          bestScore = score;
+        }
+      });
+      const { unit, ...rest } = question;
+      return best ? { ...rest, unit: best } : rest;
+    });
   }
 
-  splitContentIntoSections() {
-    // Handle undefined content
-    if (!this.content || typeof this.content !== 'string') {
-      return ['Sample content section for question generation'];
+  // Exact questions per Bloom level. Percentages are apportioned by largest
+  // remainder so the counts always add up to totalQuestions; a count map is
+  // used as given.
+  calculateBloomDistribution(distribution, totalQuestions) {
+    const parsed = parseBloomDistribution(distribution);
+    const levels = Object.keys(BLOOM_LEVELS);
+    if (parsed.counts) {
+      return Object.fromEntries(levels.map(level => [level, parsed.counts[level] || 0]));
     }
-    
-    // Split content into logical sections for question generation
-    const paragraphs = this.content.split('\n\n').filter(p => p.trim().length > 50);
-    return paragraphs.length > 0 ? paragraphs : ['Sample content section for question generation'];
-  }
 
-  calculateBloomDistribution(type, totalQuestions) {
-    const distributions = {
-      balanced: {
-        REMEMBER: Math.ceil(totalQuestions * 0.2),
-        UNDERSTAND: Math.ceil(totalQuestions * 0.2),
-        APPLY: Math.ceil(totalQuestions * 0.2),
-        ANALYZE: Math.ceil(totalQuestions * 0.15),
-        EVALUATE: Math.ceil(totalQuestions * 0.15),
-        CREATE: Math.ceil(totalQuestions * 0.1)
-      },
-      foundational: {
-        REMEMBER: Math.ceil(totalQuestions * 0.4),
-        UNDERSTAND: Math.ceil(totalQuestions * 0.3),
-        APPLY: Math.ceil(totalQuestions * 0.2),
-        ANALYZE: Math.ceil(totalQuestions * 0.1),
-        EVALUATE: 0,
-        CREATE: 0
-      },
-      advanced: {
-        REMEMBER: Math.ceil(totalQuestions * 0.1),
-        UNDERSTAND: Math.ceil(totalQuestions * 0.15),
-        APPLY: Math.ceil(totalQuestions * 0.2),
-        ANALYZE: Math.ceil(totalQuestions * 0.25),
-        EVALUATE: Math.ceil(totalQuestions * 0.2),
-        CREATE: Math.ceil(totalQuestions * 0.1)
-      }
-    };
+    const counts = apportion(totalQuestions, levels.map(level => parsed.percentages[level] || 0));
+    return Object.fromEntries(levels.map((level, index) => [level, counts[index]]));
+  }
 
-    return distributions[type] || distributions.balanced;
+  // A rule-based stand-in for a missing or invalid AI question, or null when
+  // none of the types can be written at this level from the material
+  tryRuleBasedQuestion(bloomLevel, contentSections, questionTypes, difficulty) {
+    try {
+      return this.generateQuestionByLevel(bloomLevel, contentSections, questionTypes, difficulty);
+    } catch (error) {
+      console.log(`No rule-based ${BLOOM_LEVELS[bloomLevel].name} question: ${error.message}`);
+      return null;
+    }
   }
 
   generateQuestionByLevel(bloomLevel, contentSections, questionTypes, difficulty) {
     const level = BLOOM_LEVELS[bloomLevel];
-    const questionType = questionTypes[Math.floor(Math.random() * questionTypes.length)];
+    // Only types that have a template at this level
+    const candidates = questionTypes.filter(type => RULE_BASED_TYPES[bloomLevel].includes(type));
+    if (candidates.length === 0) {
+      const error = new Error(ruleBasedTypesMessage([bloomLevel], questionTypes));
+      error.code = NO_RULE_BASED_TYPE;
+      throw error;
+    }
+    let questionType = candidates[Math.floor(Math.random() * candidates.length)];
     
     // Handle empty content sections
     let content = 'Sample content for question generation';
@@ -395,19 +3017,40 @@ class AIQuestionGenerator {
       content = contentSections[Math.floor(Math.random() * contentSections.length)];
     }
 
+    // Multiple-choice and fill-blank questions are built from a sentence and
+    // terms of the material; without them fall back to another requested
+    // type, or fail if there is none
+    const fromMaterial = [QUESTION_TYPES.MULTIPLE_CHOICE, QUESTION_TYPES.FILL_BLANK];
+    let built = null;
+    if (questionType === QUESTION_TYPES.MULTIPLE_CHOICE) {
+      built = this.buildMultipleChoice(bloomLevel, content);
+    } else if (questionType === QUESTION_TYPES.FILL_BLANK) {
+      built = this.buildCloze(content, CLOZE_BLANKS[difficulty] || 1);
+    }
+    const otherTypes = candidates.filter(type => !fromMaterial.includes(type));
+    if (fromMaterial.includes(questionType) && !built) {
+      if (otherTypes.length === 0) {
+        const error = new Error(`The material has too few facts and terms for a rule-based ${questionType} question at the ${level.name} level. Allow short-answer or essay questions as well.`);
+        error.code = INSUFFICIENT_MATERIAL;
+        throw error;
+      }
+      questionType = otherTypes[Math.floor(Math.random() * otherTypes.length)];
+    }
+
     const question = {
       id: uuidv4(),
       type: questionType,
       bloomLevel: bloomLevel,
       bloomCode: level.code,
       difficulty: difficulty,
-      content: this.generateQuestionContent(bloomLevel, content, questionType),
-      options: this.generateOptions(questionType, content),
-      correctAnswer: '',
-      explanation: '',
+      content: built ? built.stem : this.generateQuestionContent(bloomLevel, content, questionType),
+      options: built ? built.options : this.generateOptions(questionType),
+      correctAnswer: built ? built.correctAnswer : '',
+      explanation: built ? built.explanation : '',
       answer: '',
       marks: this.calculateMarks(bloomLevel, questionType, difficulty)
     };
+    if (built && built.blanks) question.blanks = built.blanks;
 
     // Auto-generate answer/correctAnswer/explanation for rule-based questions
     const auto = this.generateAnswer(question, content);
@@ -415,6 +3058,16 @@ class AIQuestionGenerator {
     if (!question.explanation && auto.explanation) question.explanation = auto.explanation;
     if (!question.answer && auto.answer) question.answer = auto.answer;
 
+    // Cite the section the question was generated from, or for a fact taken
+    // from elsewhere in the material, the passage stating it
+    const source = built && !built.inSection
+      ? this.locateSource(built.sentence)
+      : this.locateSource(content, {
+        exact: true,
+        supportingText: built && built.sentence ? built.sentence : `${question.content} ${question.answer}`
+      });
+    if (source) question.source = source;
+
     return question;
   }
 
@@ -434,29 +3087,23 @@ class AIQuestionGenerator {
     // Generate questions based on actual content analysis
     const questions = {
       REMEMBER: {
-        'multiple-choice': this.generateRememberMCQ(analysis, isMultiDoc),
         'true-false': this.generateRememberTF(analysis, isMultiDoc),
-        'short-answer': this.generateRememberSA(analysis, isMultiDoc),
-        'fill-blank': this.generateRememberFillBlank(analysis, isMultiDoc)
+        'short-answer': this.generateRememberSA(analysis, isMultiDoc)
       },
       UNDERSTAND: {
-        'multiple-choice': this.generateUnderstandMCQ(analysis, isMultiDoc),
         'true-false': this.generateUnderstandTF(analysis, isMultiDoc),
         'short-answer': this.generateUnderstandSA(analysis, isMultiDoc),
         'essay': this.generateUnderstandEssay(analysis, isMultiDoc)
       },
       APPLY: {
-        'multiple-choice': this.generateApplyMCQ(analysis, isMultiDoc),
         'short-answer': this.generateApplySA(analysis, isMultiDoc),
         'essay': this.generateApplyEssay(analysis, isMultiDoc)
       },
       ANALYZE: {
-        'multiple-choice': this.generateAnalyzeMCQ(analysis, isMultiDoc),
         'short-answer': this.generateAnalyzeSA(analysis, isMultiDoc),
         'essay': this.generateAnalyzeEssay(analysis, isMultiDoc)
       },
       EVALUATE: {
-        'multiple-choice': this.generateEvaluateMCQ(analysis, isMultiDoc),
         'short-answer': this.generateEvaluateSA(analysis, isMultiDoc),
         'essay': this.generateEvaluateEssay(analysis, isMultiDoc)
       },
@@ -517,59 +3164,284 @@ class AIQuestionGenerator {
     };
   }
 
-  generateOptions(questionType, content) {
-    // Handle undefined or null content
-    if (!content || typeof content !== 'string') {
-      content = this.content || 'Sample content for question generation';
-    }
-    
-    if (questionType === QUESTION_TYPES.MULTIPLE_CHOICE) {
-      // Use the same analysis as question generation
-      const analysis = this.analyzeContent(content);
-      const keyTerms = analysis.keyTerms;
-      
-      // Generate more meaningful options based on content
-      const options = [];
-      
-      if (keyTerms.length >= 4) {
-        options.push(
-          `${keyTerms[0]} (primary concept)`,
-          `${keyTerms[1]} (related concept)`,
-          `${keyTerms[2]} (alternative approach)`,
-          `${keyTerms[3]} (supporting element)`
-        );
-      } else {
-        // Fallback options
-        options.push(
-          'Primary concept (most relevant)',
-          'Secondary concept (related)',
-          'Alternative approach (different perspective)',
-          'Supporting element (complementary)'
-        );
-      }
-      
-      return options;
-    } else if (questionType === QUESTION_TYPES.TRUE_FALSE) {
+  generateOptions(questionType) {
+    // Multiple-choice options are built with the question in buildMultipleChoice
+    if (questionType === QUESTION_TYPES.TRUE_FALSE) {
       return ['True', 'False'];
     }
     return [];
   }
 
-  // Remember Level Question Generators
-  generateRememberMCQ(analysis, isMultiDoc) {
-    const { keyTerms, mainTopics } = analysis;
-    if (keyTerms.length < 2) return 'What is the main topic discussed in this content?';
-    
-    const topic1 = keyTerms[0];
-    const topic2 = keyTerms[1];
-    const topic3 = keyTerms[2] || 'concept';
-    const topic4 = keyTerms[3] || 'element';
-    
-    return isMultiDoc 
-      ? `Which of the following terms appears most frequently across all documents: ${topic1}, ${topic2}, ${topic3}, or ${topic4}?`
-      : `Which of the following terms is most frequently mentioned in the document: ${topic1}, ${topic2}, ${topic3}, or ${topic4}?`;
+  // Terms the uploaded material names, most specific first: terms it defines,
+  // short heading lines, two-word phrases it repeats, then frequent words.
+  // Distractors are drawn from here so they belong to the same subject as
+  // the correct answer.
+  termPool() {
+    const text = this.content || '';
+    if (this.termPoolCache && this.termPoolCache.content === text) return this.termPoolCache.terms;
+
+    const terms = [];
+    const seen = new Set();
+    const add = (term, kind) => {
+      const formatted = formatTerm(term);
+      const key = tokenizeForSimilarity(formatted).join(' ');
+      if (formatted.length < 3 || !key || seen.has(key)) return;
+      seen.add(key);
+      terms.push({ term: formatted, kind });
+    };
+
+    extractFacts(text).forEach(fact => add(fact.term, 'defined'));
+    text.split(/\n+/)
+      .map(line => line.trim().replace(/^(?:[-*\u2022]|\d+[.)])\s+/, ''))
+      .filter(line => /^[A-Za-z][\w\s&/-]*$/.test(line) && line.split(/\s+/).length <= 4)
+      .filter(line => !/^(?:yes|no|true|false|note|notes|example|examples|summary|introduction|conclusion|references)$/i.test(line))
+      .forEach(line => add(line, 'heading'));
+
+    const words = text.toLowerCase().match(/[a-z][a-z-]+/g) || [];
+    const phraseCounts = {};
+    for (let i = 0; i < words.length - 1; i++) {
+      const [first, second] = [words[i], words[i + 1]];
+      if (first.length < 3 || second.length < 3 || SIMILARITY_STOP_WORDS.has(first) || SIMILARITY_STOP_WORDS.has(second)) continue;
+      const phrase = `${first} ${second}`;
+      phraseCounts[phrase] = (phraseCounts[phrase] || 0) + 1;
+    }
+    Object.entries(phraseCounts)
+      .filter(([, count]) => count >= 2)
+      .sort(([, a], [, b]) => b - a)
+      .slice(0, 30)
+      .forEach(([phrase]) => add(phrase, 'phrase'));
+
+    this.analyzeContent(text).keyTerms.forEach(term => add(term, 'word'));
+
+    this.termPoolCache = { content: text, terms };
+    return terms;
+  }
+
+  // Up to `count` terms from the material that could pass for the answer:
+  // ranked by how specific they are and how closely they match its shape
+  // (word count, head noun, suffix, acronym or not); equally good terms are
+  // taken in random order. Terms that overlap the answer or already appear
+  // in the stem are left out.
+  pickDistractors(answer, stem, count = 3) {
+    const answerKey = tokenizeForSimilarity(answer).join(' ');
+    const answerWords = answer.toLowerCase().split(/\s+/);
+    const stemText = stem.toLowerCase();
+    const isAcronym = term => /^[A-Z0-9]{2,}$/.test(term);
+    const kindScore = { defined: 3, heading: 2, phrase: 1, word: 0 };
+
+    return shuffleWithRandom(this.termPool(), Math.random)
+      .filter(({ term }) => {
+        const key = tokenizeForSimilarity(term).join(' ');
+        const lower = term.toLowerCase();
+        return key !== answerKey && !key.includes(answerKey) && !answerKey.includes(key) && !stemText.includes(lower);
+      })
+      .map(({ term, kind }, index) => {
+        const words = term.toLowerCase().split(/\s+/);
+        let score = kindScore[kind];
+        if (words.length === answerWords.length) score += 2;
+        if (words.length > 1 && words[words.length - 1] === answerWords[answerWords.length - 1]) score += 2;
+        if (term.toLowerCase().slice(-3) === answer.toLowerCase().slice(-3)) score += 1;
+        if (isAcronym(term) === isAcronym(answer)) score += 1;
+        return { term, score, index };
+      })
+      .sort((a, b) => b.score - a.score || a.index - b.index)
+      .slice(0, count)
+      .map(candidate => candidate.term);
+  }
+
+  // The fact's sentence with its term replaced by another term, i.e. a
+  // plausible but unsupported statement. An article before the term is kept
+  // ("a" and "an" agreeing with the new term) so the swapped statements read
+  // like the true one and the article gives nothing away.
+  swapFactTerm(fact, term) {
+    return fact.sentence.replace(new RegExp(`(?:\\b(a|an|the)\\s+)?${escapeRegExp(fact.term)}`, 'i'), (match, article, offset) => {
+      if (!article) return offset === 0 ? formatTerm(term) : lowerFirst(formatTerm(term));
+      const replacement = lowerFirst(formatTerm(term));
+      const fitted = /^the$/i.test(article) ? 'the' : (/^[aeiou]/i.test(replacement) ? 'an' : 'a');
+      return `${offset === 0 ? formatTerm(fitted) : fitted} ${replacement}`;
+    });
+  }
+
+  // Multiple-choice question for a section. The stem and correct answer come
+  // from a fact the section (or, failing that, the material) states; if it
+  // states none, a sentence with a key term blanked out is used instead.
+  // Returns { stem, options, correctAnswer, explanation, sentence, inSection }
+  // or null when the material has too few facts and terms for four options.
+  buildMultipleChoice(bloomLevel, content) {
+    const sectionFacts = extractFacts(content);
+    const materialFacts = extractFacts(this.content);
+    const facts = sectionFacts.length > 0 ? sectionFacts : materialFacts;
+
+    for (const fact of shuffleWithRandom(facts, Math.random)) {
+      const mcq = this.buildFactMCQ(bloomLevel, fact, materialFacts);
+      if (mcq) return { ...mcq, inSection: sectionFacts.includes(fact) };
+    }
+    // Completing a sentence is recall, so only Remember and Understand
+    return ['REMEMBER', 'UNDERSTAND'].includes(bloomLevel) ? this.buildBlankMCQ(content) : null;
+  }
+
+  // `facts` are all the material's facts; the true statements of an
+  // Analyze question are drawn from them
+  buildFactMCQ(bloomLevel, fact, facts) {
+    const answer = formatTerm(fact.term);
+    const explanation = `The material states: "${fact.sentence}"`;
+    const finish = (stem, correctAnswer, distractors) => distractors.length < 3 ? null : {
+      stem,
+      options: shuffleWithRandom([correctAnswer, ...distractors], Math.random),
+      correctAnswer,
+      explanation,
+      sentence: fact.sentence
+    };
+
+    // Analyze: spot the one statement the material does not support
+    const others = facts.filter(other => other.sentence !== fact.sentence);
+    if (bloomLevel === 'ANALYZE' && others.length >= 3) {
+      const [swapped] = this.pickDistractors(answer, fact.sentence, 1);
+      if (!swapped) return null;
+      const trueStatements = shuffleWithRandom(others, Math.random).slice(0, 3).map(other => other.sentence);
+      return finish('Which of the following statements is NOT supported by the material?',
+        this.swapFactTerm(fact, swapped), trueStatements);
+    }
+
+    // Understand, Analyze and Evaluate: pick the statement the material makes
+    if (['UNDERSTAND', 'ANALYZE', 'EVALUATE'].includes(bloomLevel)) {
+      const statements = this.pickDistractors(answer, fact.sentence, 3).map(term => this.swapFactTerm(fact, term));
+      const stem = bloomLevel === 'EVALUATE'
+        ? 'Which of the following claims is best supported by the material?'
+        : 'Which of the following statements is correct according to the material?';
+      return finish(stem, fact.sentence, statements);
+    }
+
+    // Remember: name the term the fact describes
+    if (bloomLevel === 'REMEMBER') {
+      return finish(fact.stem, answer, this.pickDistractors(answer, fact.stem, 3));
+    }
+
+    // Apply and Create: pick the term that meets a need the fact describes
+    // ("something that manages memory" for "The kernel manages memory")
+    const need = fact.verb && !/^(?:is|are)$/i.test(fact.verb)
+      ? `something that ${fact.verb.toLowerCase().replace(/^(\w+?)s?\b/, '$1s')} ${fact.description}`
+      : lowerFirst(fact.description);
+    const stem = bloomLevel === 'APPLY'
+      ? `A task calls for ${need}. Which of the following would you apply?`
+      : `You are designing a new solution that needs ${need}. Which of the following would you build it on?`;
+    return finish(stem, answer, this.pickDistractors(answer, stem, 3));
+  }
+
+  // A sentence of the section with one of the material's terms blanked out
+  buildBlankMCQ(content) {
+    const terms = this.termPool();
+    for (const sentence of shuffleWithRandom(splitFactSentences(content), Math.random)) {
+      const match = terms.find(({ term }) => new RegExp(`\\b${escapeRegExp(term)}\\b`, 'i').test(sentence));
+      if (!match) continue;
+      const blanked = sentence.replace(new RegExp(`\\b${escapeRegExp(match.term)}\\b`, 'i'), '_____');
+      const stem = `Which term best completes the statement "${blanked}"?`;
+      const distractors = this.pickDistractors(match.term, sentence, 3);
+      if (distractors.length < 3) continue;
+      return {
+        stem,
+        options: shuffleWithRandom([match.term, ...distractors], Math.random),
+        correctAnswer: match.term,
+        explanation: `The material states: "${sentence}"`,
+        sentence,
+        inSection: true
+      };
+    }
+    return null;
+  }
+
+  // Cloze item for a section: a sentence the material states, with the term
+  // it defines blanked out and, for more than one blank, the next most
+  // specific terms of the sentence too (at most one blank per five words).
+  // Each blank lists the answers to accept: spelling variants and the other
+  // names the material gives the term. Returns { stem, correctAnswer,
+  // explanation, blanks, sentence, inSection } or null when no sentence
+  // contains a term the material uses.
+  buildCloze(content, blankCount = 1) {
+    const sectionFacts = extractFacts(content);
+    const candidates = [
+      ...shuffleWithRandom(sectionFacts, Math.random).map(fact => ({ sentence: fact.sentence, term: fact.term, inSection: true })),
+      ...shuffleWithRandom(splitFactSentences(content), Math.random).map(sentence => ({ sentence, term: null, inSection: true })),
+      ...shuffleWithRandom(sectionFacts.length > 0 ? [] : extractFacts(this.content), Math.random)
+        .map(fact => ({ sentence: fact.sentence, term: fact.term, inSection: false }))
+    ];
+
+    for (const candidate of candidates) {
+      const spans = this.clozeSpans(candidate.sentence, candidate.term, blankCount);
+      if (spans.length === 0) continue;
+
+      let stem = candidate.sentence;
+      [...spans].reverse().forEach(span => {
+        stem = `${stem.slice(0, span.start)}_____${stem.slice(span.end)}`;
+      });
+      // "a" or "an" before a blank would hint at its first letter
+      stem = stem.replace(/\b([Aa])n? _____/g, '$1(n) _____');
+      const blanks = spans.map(span => {
+        const aliases = findTermAliases(this.content, span.text);
+        return {
+          answer: span.text,
+          alternatives: uniqueAnswers([...spellingVariants(span.text), ...aliases.flatMap(alias => [alias, ...spellingVariants(alias)])])
+            .filter(alternative => alternative.toLowerCase() !== span.text.toLowerCase())
+        };
+      });
+      const answers = blanks.map(blank => blank.answer).join('; ');
+      return {
+        stem,
+        options: [],
+        correctAnswer: answers,
+        explanation: `The material states: "${candidate.sentence}"`,
+        blanks,
+        sentence: candidate.sentence,
+        inSection: candidate.inSection
+      };
+    }
+    return null;
+  }
+
+  // Positions of the words to blank in a sentence, in order: the defined
+  // term first, then terms from the material's term pool, without overlaps.
+  // Only defined terms and headings are blanked as multi-word spans, since a
+  // repeated word pair may not be a noun phrase ("language used"), and a
+  // single frequent word only after a determiner, i.e. where it is a noun
+  // ("that" and "which" are left out: they usually start a clause).
+  // An acronym or expansion in brackets next to a blanked term would give it
+  // away, so the span takes it in and the blank replaces both.
+  clozeSpans(sentence, term, blankCount) {
+    // Too short to leave any context around a blank, e.g. a heading
+    if (sentence.split(' ').length < 5) return [];
+    const limit = Math.max(1, Math.min(blankCount, Math.floor(sentence.split(' ').length / 5)));
+    const spans = [];
+    const find = text => {
+      const match = new RegExp(`\\b${escapeRegExp(text)}\\b`, 'i').exec(sentence);
+      if (!match) return null;
+      const span = { start: match.index, end: match.index + match[0].length, text: match[0] };
+      const aliases = findTermAliases(sentence, span.text);
+      const aside = /^\s*\(([^()]+)\)/.exec(sentence.slice(span.end));
+      if (aside && aliases.some(alias => alias.toLowerCase() === aside[1].trim().toLowerCase())) {
+        span.end += aside[0].length;
+      } else if (sentence[span.end] === ')') {
+        const before = sentence.slice(0, span.start);
+        const named = aliases.map(alias => new RegExp(`\\b${escapeRegExp(alias)}\\s*\\($`, 'i').exec(before)).find(Boolean);
+        if (named) Object.assign(span, { start: named.index, end: span.end + 1 });
+      }
+      return span;
+    };
+    const overlaps = span => spans.some(other => span.start < other.end + 2 && other.start < span.end + 2);
+
+    const defined = term ? find(term) : null;
+    if (defined) spans.push(defined);
+    for (const { term: poolTerm, kind } of this.termPool()) {
+      if (spans.length >= limit) break;
+      const span = find(poolTerm);
+      if (!span || overlaps(span)) continue;
+      if (/[\s-]/.test(poolTerm) && kind !== 'defined' && kind !== 'heading') continue;
+      if (kind === 'word' && !/\b(?:a|an|the|each|every|its|their|this|these)\s+$/i.test(sentence.slice(0, span.start))) continue;
+      spans.push(span);
+    }
+    return spans.sort((a, b) => a.start - b.start);
   }
 
+  // Remember Level Question Generators
   generateRememberTF(analysis, isMultiDoc) {
     const { mainTopics } = analysis;
     if (mainTopics.length < 2) return 'The document discusses important concepts related to the main topic.';
@@ -580,30 +3452,21 @@ class AIQuestionGenerator {
   }
 
   generateRememberSA(analysis, isMultiDoc) {
-    return isMultiDoc
-      ? `List the main topics and key concepts discussed across all the uploaded documents.`
-      : `List the main topics and key concepts discussed in this document.`;
-  }
+    const topics = analysis.mainTopics.slice(0, 3);
+    if (topics.length === 0) {
+      return isMultiDoc
+        ? `List the main topics and key concepts discussed across all the uploaded documents.`
+        : `List the main topics and key concepts discussed in this document.`;
+    }
 
-  generateRememberFillBlank(analysis, isMultiDoc) {
-    const { mainTopics } = analysis;
-    const topic = mainTopics[0] || 'the main concept';
-    
+    // Name the section's own topics so questions on different sections differ
+    const list = topics.length > 1 ? `${topics.slice(0, -1).join(', ')} and ${topics[topics.length - 1]}` : topics[0];
     return isMultiDoc
-      ? `The documents collectively focus on _____ and its applications.`
-      : `The document focuses on _____ and its applications.`;
+      ? `List the key facts about ${list} stated across the uploaded documents.`
+      : `List the key facts about ${list} stated in this document.`;
   }
 
   // Understand Level Question Generators
-  generateUnderstandMCQ(analysis, isMultiDoc) {
-    const { keyTerms, definitions } = analysis;
-    if (keyTerms.length < 2) return 'Which statement best explains the main concept discussed in this content?';
-    
-    return isMultiDoc
-      ? `Based on the documents, which statement best explains the relationship between ${keyTerms[0]} and ${keyTerms[1]}?`
-      : `Based on the document, which statement best explains the relationship between ${keyTerms[0]} and ${keyTerms[1]}?`;
-  }
-
   generateUnderstandTF(analysis, isMultiDoc) {
     const { keyTerms } = analysis;
     if (keyTerms.length < 2) return 'The document explains important concepts clearly.';
@@ -626,15 +3489,6 @@ class AIQuestionGenerator {
   }
 
   // Apply Level Question Generators
-  generateApplyMCQ(analysis, isMultiDoc) {
-    const { mainTopics } = analysis;
-    const topic = mainTopics[0] || 'the concepts';
-    
-    return isMultiDoc
-      ? `How would you apply the principles discussed across all documents to solve a real-world problem?`
-      : `How would you apply the principles discussed in this document to solve a real-world problem?`;
-  }
-
   generateApplySA(analysis, isMultiDoc) {
     return isMultiDoc
       ? `Apply the concepts from all documents to create a practical solution for a given scenario.`
@@ -648,12 +3502,6 @@ class AIQuestionGenerator {
   }
 
   // Analyze Level Question Generators
-  generateAnalyzeMCQ(analysis, isMultiDoc) {
-    return isMultiDoc
-      ? `Which of the following best analyzes the relationships between concepts across all documents?`
-      : `Which of the following best analyzes the structure and organization of ideas in this document?`;
-  }
-
   generateAnalyzeSA(analysis, isMultiDoc) {
     return isMultiDoc
       ? `Analyze the differences and similarities between the main concepts discussed across all documents.`
@@ -667,12 +3515,6 @@ class AIQuestionGenerator {
   }
 
   // Evaluate Level Question Generators
-  generateEvaluateMCQ(analysis, isMultiDoc) {
-    return isMultiDoc
-      ? `Which argument presented across all documents is most convincing based on the evidence provided?`
-      : `Which argument presented in the document is most convincing based on the evidence provided?`;
-  }
-
   generateEvaluateSA(analysis, isMultiDoc) {
     return isMultiDoc
       ? `Evaluate the effectiveness of the approaches and methods described across all documents.`
@@ -699,30 +3541,109 @@ class AIQuestionGenerator {
   }
 
   calculateMarks(bloomLevel, questionType, difficulty) {
-    const baseMarks = {
-      REMEMBER: 2,
-      UNDERSTAND: 3,
-      APPLY: 4,
-      ANALYZE: 5,
-      EVALUATE: 6,
-      CREATE: 8
-    };
+    return Math.round(questionMarkWeight(bloomLevel, questionType, difficulty));
+  }
 
-    const difficultyMultiplier = {
-      easy: 0.8,
-      medium: 1.0,
-      hard: 1.2
+  // Rescale the marks of a question set so it adds up exactly to totalMarks,
+  // keeping each question's relative weight. Returns copies of the questions.
+  fitMarksToBudget(questions, totalMarks, step = 1, difficulty = 'medium') {
+    const weights = questions.map(q =>
+      questionMarkWeight(q.bloomLevel, q.type, q.difficulty || difficulty));
+    const result = solveMarksBudget(weights, totalMarks, { step });
+    if (!result.feasible) {
+      return result;
+    }
+    return {
+      feasible: true,
+      questions: questions.map((q, index) => ({ ...q, marks: result.marks[index] }))
     };
+  }
 
-    const typeMultiplier = {
-      'multiple-choice': 1.0,
-      'true-false': 0.5,
-      'short-answer': 1.5,
-      'essay': 2.0,
-      'fill-blank': 0.8
-    };
+  // Generate each blueprint part with its own count, types and Bloom levels
+  // (spread evenly over the allowed levels, with both alternatives of an
+  // either/or pair at the same level). Questions carry their part name and
+  // the part's fixed marks.
+  async generateBlueprintQuestions(blueprint, requirements) {
+    const questions = [];
+    const duplicateCheck = requirements.duplicateCheck || { action: 'replace', threshold: DUPLICATE_SIMILARITY_THRESHOLD, reference: [] };
+    for (const part of blueprint.parts) {
+      const partQuestions = await this.generateQuestions({
+        ...requirements,
+        questionCount: part.printedCount,
+        questionTypes: part.questionTypes,
+        bloomDistribution: { counts: blueprintPartLevelCounts(part) },
+        totalMarks: undefined,
+        // Earlier parts count as the same set when checking for near-duplicates
+        duplicateCheck: {
+          ...duplicateCheck,
+          reference: [...duplicateCheck.reference, ...questions.map(q => ({ source: 'set', id: q.id, content: q.content }))]
+        }
+      });
+      partQuestions.forEach(question => {
+        question.part = part.name;
+        question.marks = part.marksPerQuestion;
+      });
+      questions.push(...partQuestions);
+    }
+    return questions;
+  }
 
-    return Math.round(baseMarks[bloomLevel] * difficultyMultiplier[difficulty] * typeMultiplier[questionType]);
+  // Place questions into the blueprint's parts: questions already tagged with
+  // a part go first, then untagged ones whose type and Bloom level the part
+  // allows. Either/or parts take questions in same-level pairs, labelled (a)
+  // and (b). Placed questions take the part's marks.
+  assignQuestionsToParts(questions, blueprint) {
+    let remaining = [...questions];
+    const problems = [];
+
+    const parts = blueprint.parts.map(part => {
+      const fits = q => q.part === part.name ||
+        (!q.part && part.questionTypes.includes(q.type) && part.bloomLevels.includes(q.bloomLevel));
+      const candidates = [
+        ...remaining.filter(q => q.part === part.name),
+        ...remaining.filter(q => !q.part && fits(q))
+      ];
+
+      let placed;
+      if (part.choice && part.choice.type === 'either-or') {
+        // Pair candidates at the same Bloom level, in order of appearance
+        const waiting = {};
+        const pairs = [];
+        candidates.forEach(q => {
+          if (pairs.length >= part.questionCount) return;
+          if (waiting[q.bloomLevel]) {
+            pairs.push([waiting[q.bloomLevel], q]);
+            delete waiting[q.bloomLevel];
+          } else {
+            waiting[q.bloomLevel] = q;
+          }
+        });
+        placed = pairs.flatMap((pair, index) => pair.map((q, alternative) => ({
+          ...q,
+          choiceGroup: index + 1,
+          choiceLabel: alternative === 0 ? 'a' : 'b'
+        })));
+        if (pairs.length < part.questionCount) {
+          problems.push(`${part.name} needs ${part.questionCount} either/or pairs at the same Bloom level ` +
+            `(${part.questionTypes.join('/')}; ${part.bloomLevels.join('/')}) but only ${pairs.length} can be formed.`);
+        }
+      } else {
+        placed = candidates.slice(0, part.printedCount).map(q => ({ ...q }));
+        if (placed.length < part.printedCount) {
+          problems.push(`${part.name} needs ${part.printedCount} questions (${part.questionTypes.join('/')}; ` +
+            `${part.bloomLevels.join('/')}) but only ${placed.length} fit.`);
+        }
+      }
+
+      const placedIds = new Set(placed.map(q => q.id));
+      remaining = remaining.filter(q => !placedIds.has(q.id));
+      return {
+        ...part,
+        questions: placed.map(q => ({ ...q, part: part.name, marks: part.marksPerQuestion }))
+      };
+    });
+
+    return { parts, unplaced: remaining, problems };
   }
 
   generateExamPaper(questions, examConfig) {
@@ -735,12 +3656,55 @@ class AIQuestionGenerator {
       examSession = 'Seasonal Examination – December 2024',
       duration = '90 Minutes',
       date = new Date().toLocaleDateString(),
-      maxMarks = 50
+      markStep = 1,
+      blueprint = null,
+      courseOutcomes = null,
+      syllabus = null,
+      includeSourceAppendix = false
     } = examConfig;
 
-    // Group questions by parts
-    const partA = questions.slice(0, Math.ceil(questions.length * 0.6));
-    const partB = questions.slice(Math.ceil(questions.length * 0.6));
+    let parts;
+    let maxMarks;
+    let unplaced = [];
+    if (blueprint) {
+      // The blueprint fixes the parts, their questions and their marks
+      const assignment = this.assignQuestionsToParts(questions, blueprint);
+      if (assignment.problems.length > 0) {
+        throw new Error(assignment.problems.join(' '));
+      }
+      parts = assignment.parts.map(part => ({
+        name: part.name,
+        description: describeBlueprintPart(part),
+        instructions: part.instructions,
+        choice: part.choice,
+        printedMarks: part.printedCount * part.marksPerQuestion,
+        attemptableMarks: part.attemptCount * part.marksPerQuestion,
+        questions: part.questions
+      }));
+      maxMarks = blueprint.totalMarks;
+      unplaced = assignment.unplaced;
+    } else {
+      // The paper's marks always add up to maxMarks (defaults to the questions' own total)
+      const questionTotal = questions.reduce((sum, q) => sum + q.marks, 0);
+      maxMarks = examConfig.maxMarks || questionTotal;
+      if (maxMarks !== questionTotal) {
+        const fitted = this.fitMarksToBudget(questions, maxMarks, markStep);
+        if (!fitted.feasible) {
+          throw new Error(fitted.reason);
+        }
+        questions = fitted.questions;
+      }
+
+      // Without a blueprint, the first 60% of questions form Part A
+      const partA = questions.slice(0, Math.ceil(questions.length * 0.6));
+      const partB = questions.slice(Math.ceil(questions.length * 0.6));
+      parts = [
+        { name: 'Part A', description: describePartMarks(partA), questions: partA },
+        { name: 'Part B', description: describePartMarks(partB), questions: partB }
+      ];
+    }
+    numberPartQuestions(parts);
+    const placed = parts.flatMap(part => part.questions);
 
     const examPaper = {
       header: {
@@ -754,42 +3718,146 @@ class AIQuestionGenerator {
         date,
         maxMarks
       },
-      parts: [
-        {
-          name: 'Part A',
-          description: `(${partA.length} x 2 = ${partA.reduce((sum, q) => sum + q.marks, 0)} Marks)`,
-          questions: partA
-        },
-        {
-          name: 'Part B',
-          description: `(${partB.length} x 3 = ${partB.reduce((sum, q) => sum + q.marks, 0)} Marks)`,
-          questions: partB
-        }
-      ],
-      summary: this.generateSummaryTable(questions)
+      parts,
+      marksSummary: {
+        printedMarks: placed.reduce((sum, q) => sum + q.marks, 0),
+        attemptableMarks: maxMarks
+      }
     };
+    if (courseOutcomes) {
+      examPaper.courseOutcomes = courseOutcomes;
+    }
+    if (syllabus) {
+      examPaper.syllabus = syllabus;
+    }
+    Object.assign(examPaper, this.summarizePaperQuestions(parts, courseOutcomes, syllabus));
+    if (blueprint) {
+      examPaper.blueprint = { name: blueprint.name, title: blueprint.title };
+      // Questions the blueprint had no room for are left off the paper
+      examPaper.unplacedQuestions = unplaced.map(q => q.id);
+    }
 
+    this.attachSourceReferences(examPaper, includeSourceAppendix);
     return examPaper;
   }
 
+  attachSourceReferences(examPaper, includeSourceAppendix) {
+    const sourceReferences = this.generateSourceReferences(examPaper.parts.map(part => part.questions));
+    examPaper.slideReferences = sourceReferences
+      .filter(reference => reference.slide)
+      .map(({ questionNumber, fileName, slide }) => ({ questionNumber, fileName, slide }));
+
+    // Reviewer-only: where each question came from, with the supporting excerpt
+    if (includeSourceAppendix) {
+      examPaper.sourceAppendix = sourceReferences;
+    }
+  }
+
+  // Build count variants (Set A, B, ...) of a paper from the same question
+  // pool. Each set shuffles question order within parts (either/or pairs stay
+  // together) and MCQ options, and can swap questions for unused ones of the
+  // same Bloom level and type, so every set keeps the same Bloom and marks
+  // profile. The shuffle is seeded by seed and the set label, so passing the
+  // same seed and questions regenerates a set exactly.
+  generateExamPaperSets(questions, examConfig, options) {
+    const {
+      count,
+      seed,
+      shuffleQuestions = true,
+      shuffleOptions = true,
+      swapEquivalent = false
+    } = options;
+    const basePaper = this.generateExamPaper(questions, examConfig);
+    const placedIds = new Set(basePaper.parts.flatMap(part => part.questions.map(q => q.id)));
+    const unused = questions.filter(q => !placedIds.has(q.id));
+
+    return Array.from({ length: count }, (_, setIndex) => {
+      const setLabel = String.fromCharCode(65 + setIndex);
+      const random = createSeededRandom(`${seed}:${setLabel}`);
+      const pool = [...unused];
+
+      const parts = basePaper.parts.map(part => {
+        let slots = part.questions.map(q => ({ ...q }));
+
+        if (swapEquivalent) {
+          slots = slots.map(slot => {
+            const candidates = pool.filter(q =>
+              q.bloomLevel === slot.bloomLevel && q.type === slot.type && (!q.part || q.part === slot.part));
+            if (candidates.length === 0 || random() < 0.5) return slot;
+
+            const replacement = candidates[Math.floor(random() * candidates.length)];
+            pool.splice(pool.indexOf(replacement), 1, slot);
+            return {
+              ...replacement,
+              part: slot.part,
+              marks: slot.marks,
+              choiceGroup: slot.choiceGroup,
+              choiceLabel: slot.choiceLabel
+            };
+          });
+        }
+
+        // Shuffle whole choice groups so either/or alternatives stay together
+        let groups = [];
+        slots.forEach(q => {
+          const group = q.choiceGroup && groups.find(items => items[0].choiceGroup === q.choiceGroup);
+          if (group) {
+            group.push(q);
+          } else {
+            groups.push([q]);
+          }
+        });
+        if (shuffleQuestions) {
+          groups = shuffleWithRandom(groups, random).map(items => shuffleWithRandom(items, random));
+        }
+
+        const partQuestions = groups.flatMap((items, groupIndex) => items.map((q, itemIndex) => {
+          const question = { ...q };
+          if (q.choiceGroup) {
+            question.choiceGroup = groupIndex + 1;
+            question.choiceLabel = itemIndex === 0 ? 'a' : 'b';
+          }
+          if (shuffleOptions && q.type === QUESTION_TYPES.MULTIPLE_CHOICE && Array.isArray(q.options)) {
+            question.options = shuffleWithRandom(q.options, random);
+          }
+          return question;
+        }));
+        return { ...part, questions: partQuestions };
+      });
+
+      numberPartQuestions(parts);
+      const examPaper = {
+        ...basePaper,
+        header: { ...basePaper.header, setLabel },
+        parts
+      };
+      // Swapped questions may assess different course outcomes and units
+      Object.assign(examPaper, this.summarizePaperQuestions(parts, basePaper.courseOutcomes || null, basePaper.syllabus || null));
+      this.attachSourceReferences(examPaper, Boolean(basePaper.sourceAppendix));
+
+      return {
+        setLabel,
+        seed,
+        examPaper,
+        answerKey: generateAnswerKey(examPaper)
+      };
+    });
+  }
+
   async generateAIQuestions(content, requirements) {
     try {
-          if (!GEMINI_API_KEY || !genAI) {
-        throw new Error('Gemini API key not configured. Please set GEMINI_API_KEY in your .env file.');
+      if (!this.aiProvider || !this.aiProvider.isConfigured()) {
+        throw new Error(`AI provider '${AI_PROVIDER}' is not configured. Please check your .env file.`);
       }
 
-      const model = genAI.getGenerativeModel({ model: "gemini-1.5-flash" });
-      
       const prompt = this.createAIPrompt(content, requirements);
       
-      const result = await model.generateContent(prompt);
-      const response = await result.response;
-      const text = response.text();
+      const text = await this.aiProvider.generateText(prompt, { task: 'questions', content, requirements });
       
       console.log('AI Response received, length:', text.length);
       console.log('AI Response preview:', text.substring(0, 500) + '...');
       
-      const parsedResult = this.parseAIResponse(text, requirements);
+      const parsedResult = await this.validateAndRepairAIQuestions(text, prompt, content, requirements);
       console.log('Parsed result questions count:', parsedResult.questions ? parsedResult.questions.length : 'NO QUESTIONS');
       
       return parsedResult;
@@ -800,32 +3868,37 @@ class AIQuestionGenerator {
   }
 
   createAIPrompt(content, requirements) {
-    const { totalQuestions, questionTypes, bloomDistribution, difficulty, courseOutcomes } = requirements;
+    const { totalQuestions, questionTypes, bloomDistribution, difficulty, courseOutcomes, levelCounts, sectionNumber, sectionCount, totalMarks, unit } = requirements;
     
     console.log('Creating AI prompt with content length:', content ? content.length : 'NO CONTENT');
     console.log('Content preview for AI:', content ? content.substring(0, 300) + '...' : 'NO CONTENT');
     
     const prompt = `You are an expert educational content creator specializing in creating questions based on Bloom's Taxonomy. 
 
-CONTENT TO ANALYZE:
-${content ? content.substring(0, 8000) : 'No content provided'} // Limiting content to avoid token limits
+CONTENT TO ANALYZE${sectionCount ? ` (section ${sectionNumber} of ${sectionCount} of the material; base every question on this section only)` : ''}:
+${content || 'No content provided'}
 
 REQUIREMENTS:
 - Total Questions: ${totalQuestions}
 - Question Types: ${questionTypes.join(', ')}
-- Bloom's Taxonomy Distribution: ${JSON.stringify(bloomDistribution)}
-- Difficulty Level: ${difficulty}
-- Course Outcomes: ${courseOutcomes ? courseOutcomes.join(', ') : 'Not specified'}
+- Bloom's Taxonomy Distribution: ${typeof bloomDistribution === 'string' ? bloomDistribution : 'custom'}${levelCounts ? `
+- Questions per Bloom's Level (exact targets, do not deviate):
+${Object.entries(levelCounts).filter(([, count]) => count > 0).map(([level, count]) => `  - ${level} (${BLOOM_LEVELS[level].name}): ${count}`).join('\n')}` : ''}
+- Difficulty Level: ${difficulty}${totalMarks ? `
+- Marks: give each question marks that reflect its Bloom level, type and difficulty; the paper total is fitted to ${totalMarks} marks afterwards` : ''}
+- Course Outcomes: ${courseOutcomes ? courseOutcomes.map(outcome => (typeof outcome === 'string' ? outcome : `${outcome.code}: ${outcome.statement}`)).join('; ') : 'Not specified'}${unit ? `
+- Syllabus Unit: ${unit.name}${unit.topics.length ? ` (topics: ${unit.topics.join(', ')}); ask about these topics` : ''}` : ''}
 
 INSTRUCTIONS:
 1. Analyze the provided content thoroughly
 2. Generate questions that are directly based on the content
 3. Ensure questions are relevant and accurate to the source material
-4. Create questions for each Bloom's Taxonomy level as specified in the distribution
-5. Include 4 options for multiple choice questions with only one correct answer
+4. Create exactly the number of questions listed for each Bloom's Taxonomy level and set "bloomLevel" accordingly
+5. Include exactly 4 distinct options for multiple choice questions with only one correct answer, and give "correctAnswer" as the exact text of that option. True-false questions use the options ["True", "False"]; fill-blank questions mark the blank as _____ and have no options; short-answer and essay questions have no options and put the model answer in "answer"
 6. Provide detailed explanations for correct answers
 7. For each question, provide a comprehensive answer that explains the reasoning
-8. IMPORTANT: You must respond with ONLY a valid JSON object, no additional text
+8. When the content has [Source: ...] labels, cite the file name and page or slide each question is based on, and quote one supporting sentence from it word for word as the excerpt
+9. IMPORTANT: You must respond with ONLY a valid JSON object, no additional text
 
 RESPONSE FORMAT (JSON ONLY):
 {
@@ -840,13 +3913,18 @@ RESPONSE FORMAT (JSON ONLY):
       "explanation": "Detailed explanation of why this is correct",
       "answer": "Comprehensive answer with step-by-step reasoning and key concepts",
       "marks": 2,
-      "difficulty": "medium"
+      "difficulty": "medium",
+      "source": {
+        "fileName": "File name from the [Source: ...] label",
+        "page": 1,
+        "slide": null,
+        "excerpt": "Supporting sentence quoted word for word from the content"
+      }
     }
   ],
   "summary": {
     "totalQuestions": ${totalQuestions},
-    "bloomDistribution": ${JSON.stringify(bloomDistribution)},
-    "totalMarks": ${totalQuestions * 2}
+    "bloomDistribution": ${JSON.stringify(levelCounts || bloomDistribution)}
   }
 }
 
@@ -855,142 +3933,228 @@ CRITICAL: Respond with ONLY the JSON object above. No additional text, explanati
     return prompt;
   }
 
-  parseAIResponse(aiResponse, requirements) {
-    try {
-      console.log('Parsing AI response...');
-      console.log('Response type:', typeof aiResponse);
-      console.log('Response length:', aiResponse.length);
-      
-      // Extract JSON from the response
-      const jsonMatch = aiResponse.match(/\{[\s\S]*\}/);
-      if (!jsonMatch) {
-        console.log('No JSON found in response, trying to parse as plain text...');
-        // If no JSON found, try to create questions from plain text
-        return this.createQuestionsFromText(aiResponse, requirements);
+  // Pull the question list out of an AI reply. Tolerates code fences and text
+  // around the JSON; returns null when no question array can be parsed.
+  parseAIResponse(aiResponse) {
+    const text = String(aiResponse || '').replace(/```(?:json)?/gi, '').trim();
+    const candidates = [text];
+    
+    const objectStart = text.indexOf('{');
+    const objectEnd = text.lastIndexOf('}');
+    if (objectStart >= 0 && objectEnd > objectStart) {
+      candidates.push(text.slice(objectStart, objectEnd + 1));
+    }
+    const arrayStart = text.indexOf('[');
+    const arrayEnd = text.lastIndexOf(']');
+    if (arrayStart >= 0 && arrayEnd > arrayStart) {
+      candidates.push(text.slice(arrayStart, arrayEnd + 1));
+    }
+
+    for (const candidate of candidates) {
+      try {
+        const parsed = JSON.parse(candidate);
+        if (Array.isArray(parsed)) return parsed;
+        if (parsed && Array.isArray(parsed.questions)) return parsed.questions;
+      } catch (_) {
+        // Try the next candidate
       }
+    }
+    return null;
+  }
 
-      console.log('JSON found, attempting to parse...');
-      const parsed = JSON.parse(jsonMatch[0]);
-      
-      if (!parsed.questions || !Array.isArray(parsed.questions)) {
-        throw new Error('Invalid question format in AI response');
-      }
-
-      // Transform AI questions to match our format
-      let transformedQuestions = parsed.questions.map((q, index) => ({
-        id: q.id || `Q${index + 1}`,
-        content: q.question, // Frontend expects 'content' not 'question'
-        type: q.type,
-        bloomLevel: q.bloomLevel,
-        bloomCode: BLOOM_LEVELS[q.bloomLevel] ? BLOOM_LEVELS[q.bloomLevel].code : 'CO1', // Add bloomCode
-        options: q.options || [],
-        correctAnswer: q.correctAnswer,
-        explanation: q.explanation,
-        answer: q.answer || q.correctAnswer || '',
-        marks: q.marks || this.calculateMarks(q.bloomLevel, q.type, requirements.difficulty),
-        difficulty: q.difficulty || requirements.difficulty
-      }));
+  // Strict schema check for one AI question. Returns the list of problems;
+  // an empty list means the question is valid.
+  validateAIQuestion(item, requirements = {}) {
+    if (!item || typeof item !== 'object' || Array.isArray(item)) {
+      return ['question must be a JSON object'];
+    }
 
-      // If AI returned fewer than requested, top up with rule-based questions
-      const target = requirements.totalQuestions || requirements.questionCount || transformedQuestions.length;
-      if (transformedQuestions.length < target) {
-        const needed = target - transformedQuestions.length;
-        const contentSections = this.splitContentIntoSections();
-        const allTypes = requirements.questionTypes && requirements.questionTypes.length ? requirements.questionTypes : [QUESTION_TYPES.MULTIPLE_CHOICE];
-        const levels = Object.keys(BLOOM_LEVELS);
-        for (let i = 0; i < needed; i++) {
-          const level = levels[i % levels.length];
-          const qb = this.generateQuestionByLevel(level, contentSections, allTypes, requirements.difficulty || 'medium');
-          if (qb) {
-            transformedQuestions.push(qb);
-          }
-        }
-      }
+    const errors = [];
+    const allowedTypes = requirements.questionTypes && requirements.questionTypes.length
+      ? requirements.questionTypes
+      : Object.values(QUESTION_TYPES);
+    const isText = (value) => typeof value === 'string' && value.trim().length > 0;
 
-      return {
-        questions: transformedQuestions.slice(0, target),
-        summary: parsed.summary || {
-          totalQuestions: Math.min(transformedQuestions.length, target),
-          bloomDistribution: requirements.bloomDistribution,
-          totalMarks: transformedQuestions.reduce((sum, q) => sum + q.marks, 0)
-        }
-      };
-    } catch (error) {
-      console.error('Error parsing AI response:', error);
-      console.log('Falling back to text-based question generation...');
-      return this.createQuestionsFromText(aiResponse, requirements);
+    if (!isText(item.question) || item.question.trim().length < 10) {
+      errors.push('question must be a non-empty string of at least 10 characters');
+    }
+    if (!allowedTypes.includes(item.type)) {
+      errors.push(`type must be one of: ${allowedTypes.join(', ')}`);
+    }
+    if (!BLOOM_LEVELS[item.bloomLevel]) {
+      errors.push(`bloomLevel must be one of: ${Object.keys(BLOOM_LEVELS).join(', ')}`);
+    }
+    if (item.marks !== undefined && !(typeof item.marks === 'number' && item.marks > 0)) {
+      errors.push('marks must be a positive number');
+    }
+    if (item.difficulty !== undefined && !['easy', 'medium', 'hard'].includes(item.difficulty)) {
+      errors.push('difficulty must be easy, medium or hard');
     }
-  }
 
-  createQuestionsFromText(text, requirements) {
-    console.log('Creating questions from text response...');
-    
-    // Split text into lines and look for question patterns
-    const lines = text.split('\n').filter(line => line.trim().length > 0);
-    const questions = [];
-    
-    let currentQuestion = null;
-    
-    for (let i = 0; i < lines.length && questions.length < requirements.totalQuestions; i++) {
-      const line = lines[i].trim();
-      
-      // Look for question patterns
-      if (line.match(/^\d+\.\s/) || line.match(/^Q\d+\.\s/) || line.match(/^Question\s\d+:/i)) {
-        if (currentQuestion) {
-          questions.push(currentQuestion);
-        }
-        
-        currentQuestion = {
-          id: `Q${questions.length + 1}`,
-          content: line.replace(/^\d+\.\s|^Q\d+\.\s|^Question\s\d+:\s*/i, ''),
-          type: 'multiple-choice',
-          bloomLevel: 'REMEMBER',
-          bloomCode: 'CO1',
-          options: [],
-          correctAnswer: '',
-          explanation: '',
-          answer: '',
-          marks: 2,
-          difficulty: requirements.difficulty
-        };
-      } else if (currentQuestion && line.match(/^[A-D]\.\s/)) {
-        // This is an option
-        currentQuestion.options.push(line.replace(/^[A-D]\.\s/, ''));
-      } else if (currentQuestion && line.toLowerCase().includes('answer:')) {
-        // This is the answer
-        const ans = line.replace(/answer:\s*/i, '');
-        currentQuestion.correctAnswer = ans;
-        currentQuestion.answer = ans;
+    const options = item.options === undefined ? [] : item.options;
+    if (!Array.isArray(options)) {
+      errors.push('options must be an array');
+      return errors;
+    }
+
+    if (item.type === QUESTION_TYPES.MULTIPLE_CHOICE) {
+      const trimmed = options.map(option => (typeof option === 'string' ? option.trim() : ''));
+      if (trimmed.length !== 4 || trimmed.some(option => !option)) {
+        errors.push('multiple-choice questions need exactly 4 non-empty options');
+      } else if (new Set(trimmed.map(option => option.toLowerCase())).size !== 4) {
+        errors.push('multiple-choice options must be distinct');
+      }
+      if (!isText(item.correctAnswer) || !trimmed.includes(item.correctAnswer.trim())) {
+        errors.push('correctAnswer must be exactly one of the options');
+      }
+    } else if (item.type === QUESTION_TYPES.TRUE_FALSE) {
+      if (options.length > 0 && (options.length !== 2 || options[0] !== 'True' || options[1] !== 'False')) {
+        errors.push('true-false options must be ["True", "False"]');
+      }
+      if (!['True', 'False'].includes(item.correctAnswer)) {
+        errors.push('correctAnswer must be "True" or "False"');
+      }
+    } else if (item.type === QUESTION_TYPES.FILL_BLANK) {
+      if (options.length > 0) {
+        errors.push('fill-blank questions must not have options');
+      }
+      if (!isText(item.question) || !/_{3,}/.test(item.question)) {
+        errors.push('fill-blank questions must contain a blank written as _____');
+      }
+      if (!isText(item.correctAnswer)) {
+        errors.push('correctAnswer must give the text for the blank');
+      }
+    } else if (item.type === QUESTION_TYPES.SHORT_ANSWER || item.type === QUESTION_TYPES.ESSAY) {
+      if (options.length > 0) {
+        errors.push(`${item.type} questions must not have options`);
+      }
+      if (!isText(item.answer) && !isText(item.correctAnswer)) {
+        errors.push('answer must contain a model answer');
       }
     }
-    
-    // Add the last question if exists
-    if (currentQuestion) {
-      questions.push(currentQuestion);
+
+    return errors;
+  }
+
+  createRepairPrompt(content, entries, requirements) {
+    const allowedTypes = requirements.questionTypes && requirements.questionTypes.length
+      ? requirements.questionTypes
+      : Object.values(QUESTION_TYPES);
+
+    return `You generated exam questions that do not match the required schema. Fix every problem listed below and return the corrected questions in the same order.
+
+CONTENT THE QUESTIONS MUST BE BASED ON:
+${content || 'No content provided'}
+
+QUESTIONS TO FIX:
+${entries.map((entry, index) => `${index + 1}. Problems: ${entry.errors.join('; ')}
+   Question: ${JSON.stringify(entry.item)}`).join('\n')}
+
+SCHEMA RULES:
+- "question": the question text
+- "type": one of ${allowedTypes.join(', ')}
+- "bloomLevel": one of ${Object.keys(BLOOM_LEVELS).join(', ')}
+- multiple-choice: exactly 4 distinct "options"; "correctAnswer" must be the exact text of one option
+- true-false: "options" ["True", "False"]; "correctAnswer" "True" or "False"
+- fill-blank: the question contains a blank written as _____; no options; "correctAnswer" is the missing text
+- short-answer and essay: no options; "answer" holds a model answer
+- "marks" (optional): a positive number; "difficulty" (optional): easy, medium or hard
+
+Respond with ONLY a JSON object of the form {"questions": [...]} containing exactly ${entries.length} corrected questions. No additional text.`;
+  }
+
+  // Validate every AI question against the schema, send invalid ones back to
+  // the model for a bounded number of repair attempts, and replace whatever
+  // is still invalid with rule-based questions. Repaired and replaced
+  // questions carry a 'validation' record explaining what happened.
+  async validateAndRepairAIQuestions(aiResponse, prompt, content, requirements) {
+    const target = requirements.totalQuestions || requirements.questionCount || 0;
+    let items = this.parseAIResponse(aiResponse);
+
+    // A reply that is not JSON at all is requested again as a whole
+    for (let attempt = 1; !items && attempt <= AI_MAX_REPAIR_ATTEMPTS; attempt++) {
+      console.log(`AI reply was not valid JSON, requesting again (attempt ${attempt})...`);
+      const retry = await this.aiProvider.generateText(
+        `${prompt}\n\nYOUR PREVIOUS REPLY COULD NOT BE PARSED AS JSON. Respond with ONLY the JSON object.`,
+        { task: 'questions', content, requirements }
+      );
+      items = this.parseAIResponse(retry);
     }
-    
-    // If no questions found, create a simple one from the content
-    if (questions.length === 0) {
-      console.log('No questions found in text, creating fallback question...');
-      questions.push({
-        id: 'Q1',
-        content: 'Based on the provided content, what is the main topic discussed?',
-        type: 'multiple-choice',
-        bloomLevel: 'REMEMBER',
-        bloomCode: 'CO1',
-        options: ['Topic A', 'Topic B', 'Topic C', 'Topic D'],
-        correctAnswer: 'Topic A',
-        explanation: 'This question tests understanding of the main topic from the content.',
-        answer: 'Topic A',
-        marks: 2,
-        difficulty: requirements.difficulty
+    items = (items || []).slice(0, target || undefined);
+
+    const accepted = [];
+    let pending = [];
+    items.forEach((item, index) => {
+      const errors = this.validateAIQuestion(this.normalizeAIQuestion(item), requirements);
+      if (errors.length === 0) {
+        accepted.push({ index, item: this.normalizeAIQuestion(item) });
+      } else {
+        pending.push({ index, item, errors, originalErrors: errors });
+      }
+    });
+
+    for (let attempt = 1; pending.length > 0 && attempt <= AI_MAX_REPAIR_ATTEMPTS; attempt++) {
+      console.log(`Repairing ${pending.length} invalid AI question(s) (attempt ${attempt})...`);
+      let repairedItems;
+      try {
+        const text = await this.aiProvider.generateText(this.createRepairPrompt(content, pending, requirements), {
+          task: 'repair',
+          content,
+          requirements,
+          items: pending.map(entry => entry.item),
+          errors: pending.map(entry => entry.errors)
+        });
+        repairedItems = this.parseAIResponse(text) || [];
+      } catch (error) {
+        console.log('AI repair request failed:', error.message);
+        break;
+      }
+
+      pending = pending.filter((entry, i) => {
+        if (!repairedItems[i]) return true;
+        const candidate = this.normalizeAIQuestion(repairedItems[i]);
+        const errors = this.validateAIQuestion(candidate, requirements);
+        if (errors.length === 0) {
+          accepted.push({
+            index: entry.index,
+            item: candidate,
+            validation: { status: 'repaired', attempts: attempt, errors: entry.originalErrors }
+          });
+          return false;
+        }
+        entry.item = candidate;
+        entry.errors = errors;
+        return true;
       });
     }
-    
-    console.log(`Created ${questions.length} questions from text`);
-    
+
+    const questions = accepted
+      .sort((a, b) => a.index - b.index)
+      .map(({ item, validation }) => {
+        const question = this.transformAIQuestion(item, requirements);
+        if (validation) question.validation = validation;
+        return question;
+      });
+
+    // Still-invalid questions, and any the AI did not deliver, are replaced
+    // with rule-based questions at the levels still missing from the plan
+    const replacements = pending.map(entry => entry.errors);
+    while (questions.length + replacements.length < target) {
+      replacements.push(['AI returned fewer questions than requested']);
+    }
+    const contentSections = this.splitContentIntoSections();
+    const allTypes = requirements.questionTypes && requirements.questionTypes.length ? requirements.questionTypes : [QUESTION_TYPES.MULTIPLE_CHOICE];
+    replacements.forEach((errors, i) => {
+      const level = this.nextMissingLevel(questions, requirements.levelCounts)
+        || (pending[i] && BLOOM_LEVELS[pending[i].item.bloomLevel] ? pending[i].item.bloomLevel : Object.keys(BLOOM_LEVELS)[i % 6]);
+      const question = this.tryRuleBasedQuestion(level, contentSections, allTypes, requirements.difficulty || 'medium');
+      if (!question) return;
+      question.validation = { status: 'replaced', errors };
+      questions.push(question);
+    });
+
     return {
-      questions: this.ensureAnswers(questions),
+      questions: target ? questions.slice(0, target) : questions,
       summary: {
         totalQuestions: questions.length,
         bloomDistribution: requirements.bloomDistribution,
@@ -999,6 +4163,63 @@ CRITICAL: Respond with ONLY the JSON object above. No additional text, explanati
     };
   }
 
+  // Trim strings and map a letter answer ("B") to its option text before validation
+  normalizeAIQuestion(item) {
+    if (!item || typeof item !== 'object' || Array.isArray(item)) return item;
+
+    const normalized = { ...item };
+    if (typeof normalized.question === 'string') normalized.question = normalized.question.trim();
+    if (typeof normalized.type === 'string') normalized.type = normalized.type.trim().toLowerCase();
+    if (typeof normalized.bloomLevel === 'string') normalized.bloomLevel = normalized.bloomLevel.trim().toUpperCase();
+    if (typeof normalized.correctAnswer === 'string') normalized.correctAnswer = normalized.correctAnswer.trim();
+    if (normalized.type === QUESTION_TYPES.TRUE_FALSE && typeof normalized.correctAnswer === 'string') {
+      const answer = normalized.correctAnswer.toLowerCase();
+      if (answer === 'true' || answer === 'false') {
+        normalized.correctAnswer = answer === 'true' ? 'True' : 'False';
+      }
+    }
+    if (
+      normalized.type === QUESTION_TYPES.MULTIPLE_CHOICE &&
+      Array.isArray(normalized.options) &&
+      /^[A-D]$/i.test(normalized.correctAnswer || '')
+    ) {
+      const option = normalized.options[normalized.correctAnswer.toUpperCase().charCodeAt(0) - 65];
+      if (typeof option === 'string') normalized.correctAnswer = option.trim();
+    }
+    return normalized;
+  }
+
+  // Convert a validated AI question to the format used by the rest of the app
+  transformAIQuestion(q, requirements) {
+    const question = {
+      // Model-chosen ids such as "Q1" repeat across requests (chunks, blueprint parts)
+      id: uuidv4(),
+      content: q.question, // Frontend expects 'content' not 'question'
+      type: q.type,
+      bloomLevel: q.bloomLevel,
+      bloomCode: BLOOM_LEVELS[q.bloomLevel].code,
+      options: q.type === QUESTION_TYPES.TRUE_FALSE ? ['True', 'False'] : (q.options || []).map(option => option.trim()),
+      correctAnswer: q.correctAnswer || '',
+      explanation: q.explanation || '',
+      answer: q.answer || q.correctAnswer || '',
+      marks: q.marks || this.calculateMarks(q.bloomLevel, q.type, requirements.difficulty || 'medium'),
+      difficulty: q.difficulty || requirements.difficulty
+    };
+
+    // Verify the AI citation against the uploaded documents
+    const source = this.resolveAISource(q.source, question);
+    if (source) question.source = source;
+
+    return question;
+  }
+
+  // First Bloom level that has fewer questions than planned, if any
+  nextMissingLevel(questions, levelCounts) {
+    if (!levelCounts) return null;
+    return Object.keys(BLOOM_LEVELS).find(level =>
+      questions.filter(q => q.bloomLevel === level).length < (levelCounts[level] || 0)) || null;
+  }
+
   // Generate default answers/explanations for rule-based questions
   generateAnswer(question, content) {
     try {
@@ -1006,7 +4227,7 @@ CRITICAL: Respond with ONLY the JSON object above. No additional text, explanati
       const mainTopic = (analysis.mainTopics && analysis.mainTopics[0]) || 'the main concept';
 
       if (question.type === QUESTION_TYPES.MULTIPLE_CHOICE) {
-        const fallback = question.options && question.options.length > 0 ? question.options[0] : 'Option A';
+        const fallback = question.options && question.options.length > 0 ? question.options[0] : '';
         return {
           correctAnswer: question.correctAnswer || fallback,
           explanation: `The chosen option aligns best with key terms found in the content, notably ${mainTopic}.`,
@@ -1037,7 +4258,7 @@ CRITICAL: Respond with ONLY the JSON object above. No additional text, explanati
         const ans = `A strong answer should explain ${mainTopic} with evidence, and cover: ${points || 'key ideas from the text'}.`;
         return {
           correctAnswer: '',
-          explanation: 'Answers may vary; credit clarity, accuracy, and coverage of key ideas.',
+          explanation: 'Mark against the analytic rubric in the marking scheme.',
           answer: ans
         };
       }
@@ -1056,6 +4277,171 @@ CRITICAL: Respond with ONLY the JSON object above. No additional text, explanati
     }
   }
 
+  // Analytic rubric built from the question itself: key terms are taken from
+  // the question, its model answer and source excerpt (preferring terms that
+  // occur in the uploaded content), and criterion marks are shared in
+  // proportion to their weight
+  generateRuleBasedRubric(question) {
+    const step = Number.isInteger(question.marks) ? 1 : 0.5;
+    const questionText = [question.content, question.answer, question.source && question.source.excerpt].filter(Boolean).join(' ');
+    const content = (this.content || '').toLowerCase();
+    const genericTerms = new Set(['answer', 'answers', 'concept', 'concepts', 'content', 'document', 'material', 'question', 'following', 'discussed', 'detail', 'should', 'strong', 'explain', 'evidence', 'relates', 'involving', 'refers']);
+    const candidates = (this.analyzeContent(questionText).keyTerms || []).filter(term => !genericTerms.has(term) && !/^\d+$/.test(term));
+    const inContent = candidates.filter(term => content.includes(term));
+    const terms = (inContent.length > 0 ? inContent : candidates).slice(0, 3);
+    const topic = terms.length > 0 ? terms.join(', ') : 'the topic';
+
+    const [skillName, skillDescriptors] = RUBRIC_BLOOM_CRITERIA[question.bloomLevel] || RUBRIC_BLOOM_CRITERIA.UNDERSTAND;
+    const criteria = [
+      {
+        name: 'Knowledge of content',
+        weight: 2,
+        descriptors: [
+          `Accurate and complete account of ${topic}, with no errors`,
+          `Mostly accurate account of ${topic}, with minor errors or omissions`,
+          `Covers some of ${topic}, with notable gaps or errors`,
+          `Key content about ${topic} missing or incorrect`
+        ]
+      },
+      {
+        name: skillName,
+        weight: 2,
+        descriptors: skillDescriptors.map(descriptor => descriptor.replace('{topic}', topic))
+      },
+      {
+        name: 'Use of evidence and examples',
+        weight: 1,
+        descriptors: [
+          'Supports every point with relevant evidence or examples from the material',
+          'Supports most points with relevant evidence or examples',
+          'Few examples, or examples only loosely relevant',
+          'No supporting evidence or examples'
+        ]
+      }
+    ];
+    if (question.type === QUESTION_TYPES.ESSAY) {
+      criteria.push({
+        name: 'Organisation and clarity',
+        weight: 1,
+        descriptors: [
+          'Logically organised, clearly written, with a conclusion that follows from the argument',
+          'Generally well organised and clear',
+          'Some structure, but ideas are hard to follow in places',
+          'Disorganised or unclear'
+        ]
+      });
+    }
+
+    // Every criterion needs at least one mark step
+    const used = criteria.slice(0, Math.max(1, Math.floor(question.marks / step)));
+    const budget = solveMarksBudget(used.map(criterion => criterion.weight), question.marks, { step });
+    const marks = budget.feasible ? budget.marks : [question.marks];
+
+    return {
+      generatedBy: 'rule-based',
+      criteria: used.slice(0, marks.length).map((criterion, index) => ({
+        name: criterion.name,
+        marks: marks[index],
+        levels: rubricLevelMarks(marks[index], step).map(level => ({
+          ...level,
+          descriptor: criterion.descriptors[RUBRIC_LEVEL_LABELS.indexOf(level.label)]
+        }))
+      }))
+    };
+  }
+
+  createRubricPrompt(questions) {
+    const items = questions.map((q, index) => ({
+      index,
+      question: q.content,
+      type: q.type,
+      bloomLevel: q.bloomLevel,
+      marks: q.marks,
+      modelAnswer: q.answer || q.correctAnswer || ''
+    }));
+
+    return `You are an experienced examiner. Write an analytic marking rubric for each question below.
+
+RULES:
+1. Give each question 2 to 4 criteria suited to its Bloom's level and subject matter
+2. Criterion marks must add up to exactly the question's marks
+3. Each criterion has performance levels from best to worst (e.g. Excellent, Good, Satisfactory, Poor); the best level is worth the criterion's marks, the worst is worth 0, and marks decrease from level to level
+4. Use whole marks, or half marks only when the question's marks are not whole
+5. Each descriptor says what an answer at that level contains, in terms of the question's subject matter
+
+QUESTIONS:
+${JSON.stringify(items, null, 2)}
+
+Respond with ONLY a JSON array with one entry per question, in the same order:
+[
+  {
+    "index": 0,
+    "criteria": [
+      {
+        "name": "Criterion name",
+        "marks": 4,
+        "levels": [
+          { "label": "Excellent", "marks": 4, "descriptor": "What an excellent answer contains" },
+          { "label": "Poor", "marks": 0, "descriptor": "What a poor answer contains" }
+        ]
+      }
+    ]
+  }
+]`;
+  }
+
+  // Rubrics from the AI provider; entries that are missing or fail
+  // validateRubric come back as null so the caller can fall back
+  async generateAIRubrics(questions) {
+    const text = await this.aiProvider.generateText(this.createRubricPrompt(questions), { task: 'rubrics', questions });
+    const items = this.parseAIResponse(text) || [];
+
+    return questions.map((q, index) => {
+      const item = items.find(entry => entry && entry.index === index) || items[index];
+      if (!item) return null;
+      const rubric = normalizeRubric(item);
+      const errors = validateRubric(rubric, q.marks);
+      if (errors.length > 0) {
+        console.log(`AI rubric for question ${q.number || index + 1} rejected: ${errors.join('; ')}`);
+        return null;
+      }
+      return { generatedBy: 'ai', criteria: rubric.criteria };
+    });
+  }
+
+  // Give every essay and long short-answer question on the papers a rubric
+  // that fits its marks. Valid rubrics already present (e.g. edited ones) are
+  // kept; the rest come from the AI provider when enabled, else rule-based.
+  async attachRubrics(papers, { useAI = true } = {}) {
+    const pending = new Map();
+    papers.forEach(paper => paper.parts.forEach(part => part.questions.forEach(q => {
+      if (!needsRubric(q)) return;
+      if (q.rubric && validateRubric(normalizeRubric(q.rubric), q.marks).length === 0) return;
+      const key = `${q.id}:${q.marks}`;
+      if (!pending.has(key)) pending.set(key, { question: q, targets: [] });
+      pending.get(key).targets.push(q);
+    })));
+    if (pending.size === 0) return;
+
+    const entries = [...pending.values()];
+    let aiRubrics = [];
+    if (useAI && this.aiProvider && this.aiProvider.isConfigured()) {
+      try {
+        console.log(`Generating ${entries.length} rubric(s) with AI...`);
+        aiRubrics = await this.generateAIRubrics(entries.map(entry => entry.question));
+      } catch (error) {
+        console.log('AI rubric generation failed, falling back to rule-based rubrics:', error.message);
+      }
+    }
+
+    entries.forEach((entry, index) => {
+      const rubric = aiRubrics[index] || this.generateRuleBasedRubric(entry.question);
+      entry.targets.forEach(q => {
+        q.rubric = rubric;
+      });
+    });
+  }
+
   // Ensure every question has an 'answer' populated
   ensureAnswers(questions) {
     return (questions || []).map((q) => {
@@ -1088,20 +4474,387 @@ CRITICAL: Respond with ONLY the JSON object above. No additional text, explanati
     });
   }
 
-  generateSummaryTable(questions) {
+  // List the source of every cited question, numbered as printed
+  generateSourceReferences(parts) {
+    const references = [];
+    parts.forEach((partQuestions, partIndex) => {
+      partQuestions.forEach((question, questionIndex) => {
+        if (question.source) {
+          references.push({
+            questionNumber: question.number || `${partIndex + 1}.${questionIndex + 1}`,
+            ...question.source
+          });
+        }
+      });
+    });
+    return references;
+  }
+
+  // Course outcomes a question most likely assesses, by keyword overlap
+  // between the question (with its answer and source excerpt) and each CO
+  // statement. A CO written at the question's Bloom level gets a small
+  // boost, and decides the match when no words are shared.
+  matchCourseOutcomesBySimilarity(question, courseOutcomes) {
+    const questionTerms = new Set(tokenizeForSimilarity(
+      [question.content, question.answer, question.source && question.source.excerpt].filter(Boolean).join(' ')));
+    const levels = Object.keys(BLOOM_LEVELS);
+    const scored = courseOutcomes.map((outcome, index) => {
+      const outcomeTerms = [...new Set(tokenizeForSimilarity(outcome.statement))];
+      const shared = outcomeTerms.filter(term => questionTerms.has(term)).length;
+      const overlap = outcomeTerms.length > 0 ? shared / outcomeTerms.length : 0;
+      const levelGap = outcome.bloomLevel ? Math.abs(levels.indexOf(outcome.bloomLevel) - levels.indexOf(question.bloomLevel)) : levels.length;
+      return { code: outcome.code, index, overlap, score: overlap + (levelGap === 0 ? 0.2 : 0), levelGap };
+    });
+
+    const ranked = [...scored].sort((a, b) => b.score - a.score || a.levelGap - b.levelGap || a.index - b.index);
+    if (ranked[0].overlap === 0) {
+      return [ranked[0].code];
+    }
+    // A second CO counts when it matches nearly as well as the best one
+    return ranked
+      .filter((entry, i) => i === 0 || (entry.overlap > 0 && entry.score >= ranked[0].score * 0.8))
+      .slice(0, 2)
+      .sort((a, b) => a.index - b.index)
+      .map(entry => entry.code);
+  }
+
+  createCourseOutcomePrompt(questions, courseOutcomes) {
+    const items = questions.map((q, index) => ({ index, question: q.content, type: q.type, bloomLevel: q.bloomLevel, answer: q.answer || '' }));
+    return `You are an experienced examiner preparing an accreditation (NBA/ABET) report. Map each question to the course outcomes (COs) it assesses.
+
+COURSE OUTCOMES:
+${courseOutcomes.map(outcome => `- ${outcome.code}: ${outcome.statement}`).join('\n')}
+
+QUESTIONS:
+${JSON.stringify(items, null, 2)}
+
+RULES:
+1. Give every question one or two CO codes, taken only from the list above
+2. Choose the COs whose knowledge and skills a correct answer demonstrates
+
+Respond with ONLY a JSON array with one entry per question, in the same order:
+[{ "index": 0, "courseOutcomes": ["CO1"] }]`;
+  }
+
+  // Tag each question with the codes of the course outcomes it assesses.
+  // Questions already tagged with known codes keep them; the rest are mapped
+  // by the AI provider when enabled, falling back to keyword similarity.
+  async mapCourseOutcomes(questions, courseOutcomes, { useAI = true } = {}) {
+    const known = new Set(courseOutcomes.map(outcome => outcome.code));
+    const isValid = codes => Array.isArray(codes) && codes.length > 0 && codes.every(code => known.has(code));
+    const pending = questions.map((q, index) => ({ q, index })).filter(({ q }) => !isValid(q.courseOutcomes));
+    const mapped = new Map();
+
+    if (pending.length > 0 && useAI && this.aiProvider && this.aiProvider.isConfigured()) {
+      try {
+        console.log(`Mapping ${pending.length} question(s) to course outcomes with AI...`);
+        const pendingQuestions = pending.map(entry => entry.q);
+        const text = await this.aiProvider.generateText(this.createCourseOutcomePrompt(pendingQuestions, courseOutcomes), {
+          task: 'course-outcomes',
+          questions: pendingQuestions,
+          courseOutcomes
+        });
+        const items = this.parseAIResponse(text) || [];
+        pending.forEach((entry, i) => {
+          const item = items.find(candidate => candidate && candidate.index === i) || items[i];
+          const codes = item && Array.isArray(item.courseOutcomes) ? [...new Set(item.courseOutcomes.map(String))] : null;
+          if (isValid(codes)) {
+            mapped.set(entry.index, { codes, by: 'ai' });
+          }
+        });
+      } catch (error) {
+        console.log('AI course outcome mapping failed, falling back to keyword similarity:', error.message);
+      }
+    }
+
+    return questions.map((q, index) => {
+      if (isValid(q.courseOutcomes)) return q;
+      const result = mapped.get(index) || { codes: this.matchCourseOutcomesBySimilarity(q, courseOutcomes), by: 'similarity' };
+      return { ...q, courseOutcomes: result.codes, courseOutcomeMapping: result.by };
+    });
+  }
+
+  // Summary table, course outcome matrix and unit-wise marks of a paper's parts
+  summarizePaperQuestions(parts, courseOutcomes, syllabus) {
+    const questions = parts.flatMap(part => part.questions);
+    const attemptShares = partAttemptShares(parts);
+    const units = paperUnits(questions, syllabus);
+    return {
+      summary: this.generateSummaryTable(questions, attemptShares, courseOutcomes, units),
+      ...(courseOutcomes ? { coMatrix: this.generateCourseOutcomeMatrix(questions, courseOutcomes, attemptShares) } : {}),
+      ...(units ? { unitSummary: this.generateUnitSummary(questions, units, attemptShares) } : {})
+    };
+  }
+
+  // Questions and printed marks per Bloom level, plus the marks a candidate
+  // can attempt (attemptShares maps question id to its attemptable share;
+  // 'any N of M' parts are counted pro rata). With course outcomes, 'code'
+  // lists the COs the level's questions map to; without, it falls back to the
+  // level's default code. With units, 'units' breaks the level's marks down
+  // by syllabus unit.
+  generateSummaryTable(questions, attemptShares = new Map(), courseOutcomes = null, units = null) {
     const summary = {};
     
     Object.keys(BLOOM_LEVELS).forEach(level => {
       const levelQuestions = questions.filter(q => q.bloomLevel === level);
+      const attemptable = levelQuestions.reduce((sum, q) =>
+        sum + q.marks * (attemptShares.has(q.id) ? attemptShares.get(q.id) : 1), 0);
+      const codes = courseOutcomes
+        ? courseOutcomes.map(outcome => outcome.code).filter(code => levelQuestions.some(q => (q.courseOutcomes || []).includes(code)))
+        : null;
       summary[level] = {
         count: levelQuestions.length,
         marks: levelQuestions.reduce((sum, q) => sum + q.marks, 0),
-        code: BLOOM_LEVELS[level].code
+        attemptableMarks: Math.round(attemptable * 100) / 100,
+        code: codes ? (codes.join(', ') || '-') : BLOOM_LEVELS[level].code
       };
+      if (units) {
+        summary[level].units = Object.fromEntries(units.map(unit =>
+          [unit.name, levelQuestions.filter(q => q.unit === unit.name).reduce((sum, q) => sum + q.marks, 0)]));
+      }
     });
 
     return summary;
   }
+
+  // Questions and marks per syllabus unit, with each unit's share of the
+  // printed marks to compare against its weightage. Questions without a
+  // known unit are counted as 'Unassigned'.
+  generateUnitSummary(questions, units, attemptShares = new Map()) {
+    const round = value => Math.round(value * 100) / 100;
+    const printedMarks = questions.reduce((sum, q) => sum + q.marks, 0);
+    const known = new Set(units.map(unit => unit.name));
+    const groups = units.map(unit => ({ unit: unit.name, weightage: unit.weightage, questions: questions.filter(q => q.unit === unit.name) }));
+    const unassigned = questions.filter(q => !known.has(q.unit));
+    if (unassigned.length > 0) {
+      groups.push({ unit: 'Unassigned', weightage: null, questions: unassigned });
+    }
+
+    return groups.map(group => {
+      const marks = group.questions.reduce((sum, q) => sum + q.marks, 0);
+      return {
+        unit: group.unit,
+        weightage: group.weightage,
+        count: group.questions.length,
+        marks,
+        attemptableMarks: round(group.questions.reduce((sum, q) =>
+          sum + q.marks * (attemptShares.has(q.id) ? attemptShares.get(q.id) : 1), 0)),
+        share: printedMarks > 0 ? round((marks / printedMarks) * 100) : 0,
+        questions: group.questions.map(q => q.number).filter(Boolean)
+      };
+    });
+  }
+
+  // Marks per course outcome and Bloom level for accreditation reports. A
+  // question mapped to several COs shares its marks equally between them, so
+  // the matrix adds up to the paper's printed marks.
+  generateCourseOutcomeMatrix(questions, courseOutcomes, attemptShares = new Map()) {
+    const levels = Object.keys(BLOOM_LEVELS);
+    const round = value => Math.round(value * 100) / 100;
+    const rows = courseOutcomes.map(outcome => {
+      const marks = Object.fromEntries(levels.map(level => [level, 0]));
+      let attemptable = 0;
+      const numbers = [];
+      questions.forEach(q => {
+        const codes = q.courseOutcomes || [];
+        if (!codes.includes(outcome.code)) return;
+        const share = q.marks / codes.length;
+        if (marks[q.bloomLevel] !== undefined) marks[q.bloomLevel] += share;
+        attemptable += share * (attemptShares.has(q.id) ? attemptShares.get(q.id) : 1);
+        numbers.push(q.number);
+      });
+      levels.forEach(level => {
+        marks[level] = round(marks[level]);
+      });
+      return {
+        code: outcome.code,
+        statement: outcome.statement,
+        marks,
+        totalMarks: round(levels.reduce((sum, level) => sum + marks[level], 0)),
+        attemptableMarks: round(attemptable),
+        questions: numbers.filter(Boolean)
+      };
+    });
+
+    const levelTotals = Object.fromEntries(levels.map(level =>
+      [level, round(rows.reduce((sum, row) => sum + row.marks[level], 0))]));
+    return {
+      levels,
+      rows,
+      levelTotals,
+      totalMarks: round(rows.reduce((sum, row) => sum + row.totalMarks, 0)),
+      unmappedQuestions: questions.filter(q => !(q.courseOutcomes || []).length).map(q => q.number)
+    };
+  }
+}
+
+// Forward per-page extraction progress to the uploading client when it sends
+// its Socket.IO id in the 'socketId' form field (before the file fields)
+function createProgressReporter(req, fileName) {
+  return (progress) => {
+    if (req.body && req.body.socketId) {
+      io.to(req.body.socketId).emit('extraction-progress', { fileName, ...progress });
+    }
+  };
+}
+
+// "(5 x 2 = 10 Marks)" when every question carries the same marks, else "(12 Marks)"
+function describePartMarks(questions) {
+  const total = questions.reduce((sum, q) => sum + q.marks, 0);
+  const marks = new Set(questions.map(q => q.marks));
+  return marks.size === 1
+    ? `(${questions.length} x ${questions[0].marks} = ${total} Marks)`
+    : `(${total} Marks)`;
+}
+
+// Per-page extraction report (text layer vs OCR and OCR confidence)
+function describeExtraction(documentData) {
+  if (!documentData || !documentData.pages) return null;
+
+  const ocrPages = documentData.pages.filter(page => page.method === 'ocr');
+  return {
+    totalPages: documentData.pages.length,
+    ocrPages: ocrPages.length,
+    failedPages: documentData.pages.filter(page => page.method === 'ocr-failed').length,
+    averageConfidence: ocrPages.length > 0
+      ? Math.round(ocrPages.reduce((sum, page) => sum + page.confidence, 0) / ocrPages.length)
+      : null,
+    pages: documentData.pages
+  };
+}
+
+// A session's record of one uploaded document, as listed by /api/documents
+function describeUpload(documentData) {
+  return {
+    id: documentData.id,
+    fileName: documentData.fileName,
+    contentLength: documentData.content.length,
+    fileType: documentData.fileType,
+    extraction: describeExtraction(documentData)
+  };
+}
+
+// Which AI questions failed schema validation and were repaired by the
+// model or replaced with rule-based questions
+function summarizeValidation(questions) {
+  const withStatus = (status) => questions
+    .filter(q => q.validation && q.validation.status === status)
+    .map(q => ({ id: q.id, errors: q.validation.errors, ...(q.validation.attempts ? { attempts: q.validation.attempts } : {}) }));
+
+  return {
+    repaired: withStatus('repaired'),
+    replaced: withStatus('replaced')
+  };
+}
+
+// Near-duplicates that were replaced, and those kept and flagged
+function summarizeDuplicates(questions) {
+  return {
+    replaced: questions
+      .filter(q => q.validation && q.validation.duplicateOf)
+      .map(q => ({ id: q.id, ...q.validation.duplicateOf })),
+    flagged: questions
+      .filter(q => q.duplicate)
+      .map(q => ({ id: q.id, content: q.content, ...q.duplicate }))
+  };
+}
+
+// Questions a set is checked against besides itself: question bank entries
+// matching check.bankFilters, then check.previousQuestions
+async function duplicateReference(check) {
+  const reference = [];
+  if (check.bankFilters) {
+    (await questionBank.findAll(check.bankFilters)).forEach(entry => {
+      reference.push({ source: 'bank', id: entry.id, content: entry.content, text: duplicateText(entry) });
+    });
+  }
+  check.previousQuestions.forEach(item => {
+    reference.push({ source: 'previous', id: item.id, content: item.content, text: item.text });
+  });
+  return reference;
+}
+
+// Store a new session for the generator's documents. The uploaded files are
+// deleted when the session is ended or expires.
+async function createSession(generator, { filePaths, multiDocument, uploads = [], syllabus = null }) {
+  const now = Date.now();
+  const session = {
+    sessionId: uuidv4(),
+    multiDocument,
+    content: generator.content,
+    documents: generator.documents,
+    visualElements: generator.visualElements,
+    uploads,
+    filePaths,
+    syllabus,
+    createdAt: new Date(now).toISOString(),
+    expiresAt: new Date(now + SESSION_TTL_MS).toISOString()
+  };
+  await sessionStore.set(session);
+  return session;
+}
+
+// Rebuild the question generator from a stored session
+function restoreGenerator(session) {
+  const generator = new AIQuestionGenerator();
+  generator.content = session.content || '';
+  generator.documents = session.documents || [];
+  generator.visualElements = session.visualElements || [];
+  return generator;
+}
+
+function describeSession(session) {
+  return {
+    sessionId: session.sessionId,
+    isMultiDocument: session.multiDocument,
+    documentCount: session.documents.length,
+    syllabus: session.syllabus || null,
+    createdAt: session.createdAt,
+    expiresAt: session.expiresAt
+  };
+}
+
+async function endSession(session) {
+  for (const filePath of session.filePaths || []) {
+    try {
+      await fs.remove(filePath);
+    } catch (error) {
+      console.error('Error cleaning up file:', error);
+    }
+  }
+  await sessionStore.delete(session.sessionId);
+}
+
+// Delete expired sessions with their files, and uploads older than the
+// session lifetime that no live session refers to (left behind by failed
+// uploads or a crash)
+async function sweepExpiredSessions() {
+  const now = Date.now();
+  const sessions = await sessionStore.list();
+  const expired = sessions.filter(session => new Date(session.expiresAt).getTime() <= now);
+  for (const session of expired) {
+    await endSession(session);
+  }
+
+  const referenced = new Set(sessions
+    .filter(session => !expired.includes(session))
+    .flatMap(session => session.filePaths || []));
+  const uploadDir = path.join(__dirname, 'uploads');
+  let orphans = 0;
+  if (await fs.pathExists(uploadDir)) {
+    for (const name of await fs.readdir(uploadDir)) {
+      const filePath = path.join(uploadDir, name);
+      const stats = await fs.stat(filePath);
+      if (!referenced.has(filePath) && now - stats.mtimeMs > SESSION_TTL_MS) {
+        await fs.remove(filePath);
+        orphans++;
+      }
+    }
+  }
+
+  if (expired.length > 0 || orphans > 0) {
+    console.log(`Session sweep: ${expired.length} expired sessions ended, ${orphans} orphaned uploads removed`);
+  }
 }
 
 // Routes
@@ -1111,39 +4864,45 @@ app.post('/api/upload', upload.single('document'), async (req, res) => {
       return res.status(400).json({ error: 'No file uploaded' });
     }
 
-    const sessionId = uuidv4();
+    // Optional syllabus sent along with the notes
+    let syllabus = null;
+    if (req.body && req.body.syllabus) {
+      try {
+        syllabus = readSyllabus(req.body.syllabus);
+      } catch (error) {
+        await fs.remove(req.file.path);
+        return res.status(400).json({ error: 'Invalid syllabus', explanation: error.message });
+      }
+    }
+
     const generator = new AIQuestionGenerator();
     
     // Extract content from uploaded file
-    await generator.extractContent(req.file.path, req.file.mimetype);
+    try {
+      await generator.extractContent(req.file.path, req.file.mimetype, req.file.originalname, {
+        onProgress: createProgressReporter(req, req.file.originalname)
+      });
+    } catch (error) {
+      if (error.code !== UNSUPPORTED_DOCUMENT) throw error;
+      await fs.remove(req.file.path);
+      return res.status(400).json({ error: 'Unsupported document', explanation: error.message });
+    }
     
-    // Store session data
-    const sessionData = {
-      sessionId,
-      filePath: req.file.path,
-      content: generator.content,
-      visualElements: generator.visualElements,
-      timestamp: new Date()
-    };
-
-    // Store in session storage
-    sessionStorage.set(sessionId, sessionData);
-
-    // Clean up file after 1 hour
-    setTimeout(async () => {
-      try {
-        await fs.remove(req.file.path);
-        sessionStorage.delete(sessionId);
-      } catch (error) {
-        console.error('Error cleaning up file:', error);
-      }
-    }, 60 * 60 * 1000); // 1 hour
+    // Store session data; the file is removed when the session ends or expires
+    const session = await createSession(generator, {
+      filePaths: [req.file.path],
+      multiDocument: false,
+      uploads: generator.documents.map(describeUpload),
+      syllabus
+    });
 
     res.json({
-      sessionId,
+      sessionId: session.sessionId,
+      expiresAt: session.expiresAt,
       message: 'File uploaded and processed successfully',
       contentLength: generator.content.length,
-      visualElementsCount: generator.visualElements.length
+      visualElementsCount: generator.visualElements.length,
+      extraction: describeExtraction(generator.documents[0])
     });
 
   } catch (error) {
@@ -1159,53 +4918,55 @@ app.post('/api/upload-multiple', multiUpload.array('documents', 10), async (req,
       return res.status(400).json({ error: 'No files uploaded' });
     }
 
-    const sessionId = uuidv4();
+    let syllabus = null;
+    if (req.body && req.body.syllabus) {
+      try {
+        syllabus = readSyllabus(req.body.syllabus);
+      } catch (error) {
+        await Promise.all(req.files.map(file => fs.remove(file.path)));
+        return res.status(400).json({ error: 'Invalid syllabus', explanation: error.message });
+      }
+    }
+
     const generator = new AIQuestionGenerator();
     
     const uploadedDocs = [];
+    const rejectedDocs = [];
+    const filePaths = [];
     
     // Process each uploaded file
     for (const file of req.files) {
       try {
-        const documentData = await generator.addDocument(file.path, file.mimetype, file.originalname);
-        uploadedDocs.push({
-          id: documentData.id,
-          fileName: documentData.fileName,
-          contentLength: documentData.content.length,
-          fileType: documentData.fileType
+        const documentData = await generator.addDocument(file.path, file.mimetype, file.originalname, {
+          onProgress: createProgressReporter(req, file.originalname)
         });
+        uploadedDocs.push(describeUpload(documentData));
       } catch (error) {
         console.error(`Error processing file ${file.originalname}:`, error);
-        // Continue with other files even if one fails
-      }
-    }
-    
-    // Store multi-document session data
-    const sessionData = {
-      sessionId,
-      documents: uploadedDocs,
-      generator: generator,
-      timestamp: new Date()
-    };
-
-    multiDocSessions.set(sessionId, sessionData);
-
-    // Clean up files after 1 hour
-    setTimeout(async () => {
-      try {
-        for (const file of req.files) {
+        // Report unreadable documents and delete them; continue with the other files
+        if (error.code === UNSUPPORTED_DOCUMENT) {
+          rejectedDocs.push({ fileName: file.originalname, reason: error.message });
           await fs.remove(file.path);
+          continue;
         }
-        multiDocSessions.delete(sessionId);
-      } catch (error) {
-        console.error('Error cleaning up files:', error);
       }
-    }, 60 * 60 * 1000); // 1 hour
+      filePaths.push(file.path);
+    }
+    
+    // Store multi-document session data; the files are removed when the session ends or expires
+    const session = await createSession(generator, {
+      filePaths,
+      multiDocument: true,
+      uploads: uploadedDocs,
+      syllabus
+    });
 
     res.json({
-      sessionId,
+      sessionId: session.sessionId,
+      expiresAt: session.expiresAt,
       message: 'Multiple documents uploaded and processed successfully',
       documents: uploadedDocs,
+      rejectedDocuments: rejectedDocs,
       totalDocuments: uploadedDocs.length,
       totalContentLength: generator.content.length
     });
@@ -1225,34 +4986,40 @@ app.post('/api/add-document/:sessionId', upload.single('document'), async (req,
       return res.status(400).json({ error: 'No file uploaded' });
     }
 
-    const sessionData = multiDocSessions.get(sessionId);
+    const sessionData = await sessionStore.get(sessionId);
     if (!sessionData) {
+      await fs.remove(req.file.path);
       return res.status(404).json({ error: 'Session not found' });
     }
 
-    const documentData = await sessionData.generator.addDocument(
-      req.file.path, 
-      req.file.mimetype, 
-      req.file.originalname
-    );
+    const generator = restoreGenerator(sessionData);
+    let documentData;
+    try {
+      documentData = await generator.addDocument(
+        req.file.path, 
+        req.file.mimetype, 
+        req.file.originalname,
+        { onProgress: createProgressReporter(req, req.file.originalname) }
+      );
+    } catch (error) {
+      if (error.code !== UNSUPPORTED_DOCUMENT) throw error;
+      await fs.remove(req.file.path);
+      return res.status(400).json({ error: 'Unsupported document', explanation: error.message });
+    }
 
     // Update session data
-    sessionData.documents.push({
-      id: documentData.id,
-      fileName: documentData.fileName,
-      contentLength: documentData.content.length,
-      fileType: documentData.fileType
-    });
+    sessionData.uploads.push(describeUpload(documentData));
+    sessionData.multiDocument = true;
+    sessionData.content = generator.content;
+    sessionData.documents = generator.documents;
+    sessionData.visualElements = generator.visualElements;
+    sessionData.filePaths.push(req.file.path);
+    await sessionStore.set(sessionData);
 
     res.json({
       message: 'Document added successfully',
-      document: {
-        id: documentData.id,
-        fileName: documentData.fileName,
-        contentLength: documentData.content.length,
-        fileType: documentData.fileType
-      },
-      totalDocuments: sessionData.documents.length
+      document: describeUpload(documentData),
+      totalDocuments: sessionData.uploads.length
     });
 
   } catch (error) {
@@ -1265,7 +5032,7 @@ app.post('/api/add-document/:sessionId', upload.single('document'), async (req,
 app.get('/api/documents/:sessionId', async (req, res) => {
   try {
     const { sessionId } = req.params;
-    const sessionData = multiDocSessions.get(sessionId);
+    const sessionData = await sessionStore.get(sessionId);
     
     if (!sessionData) {
       return res.status(404).json({ error: 'Session not found' });
@@ -1273,9 +5040,10 @@ app.get('/api/documents/:sessionId', async (req, res) => {
 
     res.json({
       sessionId,
-      documents: sessionData.documents,
-      totalDocuments: sessionData.documents.length,
-      totalContentLength: sessionData.generator.content.length
+      documents: sessionData.uploads,
+      totalDocuments: sessionData.uploads.length,
+      totalContentLength: sessionData.content.length,
+      expiresAt: sessionData.expiresAt
     });
 
   } catch (error) {
@@ -1288,82 +5056,211 @@ app.post('/api/generate-questions', async (req, res) => {
   try {
     const { sessionId, requirements } = req.body;
     
-    // Check both single and multi-document sessions
-    let sessionData = sessionStorage.get(sessionId);
-    let isMultiDoc = false;
-    
-    if (!sessionData) {
-      sessionData = multiDocSessions.get(sessionId);
-      isMultiDoc = true;
-    }
-    
+    const sessionData = await sessionStore.get(sessionId);
     if (!sessionData) {
       return res.status(404).json({ error: 'Session not found. Please upload a document first.' });
     }
+    const isMultiDoc = sessionData.multiDocument;
+
+    const {
+      bloomDistribution = 'balanced',
+      questionCount = 10,
+      totalMarks,
+      markStep = 1,
+      useAI = true,
+      questionTypes = [QUESTION_TYPES.MULTIPLE_CHOICE]
+    } = requirements || {};
+    let blueprint = null;
+    try {
+      parseBloomDistribution(bloomDistribution);
+      if (requirements && requirements.blueprint) {
+        blueprint = await blueprintStore.resolve(requirements.blueprint);
+      }
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+    let courseOutcomes = null;
+    if (requirements && requirements.courseOutcomes) {
+      try {
+        courseOutcomes = parseCourseOutcomes(requirements.courseOutcomes);
+      } catch (error) {
+        return res.status(400).json({ error: 'Invalid course outcomes', explanation: error.message });
+      }
+    }
+    // A syllabus in the request replaces the session's one for this request
+    let syllabus = sessionData.syllabus || null;
+    if (requirements && requirements.syllabus) {
+      try {
+        syllabus = readSyllabus(requirements.syllabus);
+      } catch (error) {
+        return res.status(400).json({ error: 'Invalid syllabus', explanation: error.message });
+      }
+    }
+    let duplicateCheck;
+    try {
+      duplicateCheck = parseDuplicateCheck(requirements && requirements.duplicateCheck);
+    } catch (error) {
+      return res.status(400).json({ error: 'Invalid duplicate check', explanation: error.message });
+    }
+    if (blueprint && totalMarks !== undefined && totalMarks !== null && totalMarks !== blueprint.totalMarks) {
+      return res.status(400).json({
+        error: 'Marks budget cannot be met',
+        explanation: `Blueprint '${blueprint.title}' is worth ${blueprint.totalMarks} marks, not ${totalMarks}`
+      });
+    }
     
-    let generator;
-    if (isMultiDoc) {
-      generator = sessionData.generator;
-    } else {
-      generator = new AIQuestionGenerator();
-      generator.content = sessionData.content;
-      generator.visualElements = sessionData.visualElements;
+    const generator = restoreGenerator(sessionData);
+
+    // Explain up front when the marks budget cannot be met
+    const target = blueprint ? {} : generator.calculateBloomDistribution(bloomDistribution, questionCount);
+    if (blueprint) {
+      Object.keys(BLOOM_LEVELS).forEach(level => {
+        target[level] = 0;
+      });
+      blueprint.parts.forEach(part => {
+        Object.entries(blueprintPartLevelCounts(part)).forEach(([level, count]) => {
+          target[level] += count;
+        });
+      });
+    } else if (totalMarks !== undefined && totalMarks !== null) {
+      const targetCount = Object.values(target).reduce((sum, count) => sum + count, 0);
+      const budget = solveMarksBudget(new Array(targetCount).fill(1), totalMarks, { step: markStep });
+      if (!budget.feasible) {
+        return res.status(400).json({ error: 'Marks budget cannot be met', explanation: budget.reason });
+      }
+    }
+
+    // Without the AI provider, every planned level needs a type with a rule-based template
+    const aiAvailable = useAI !== false && generator.aiProvider && generator.aiProvider.isConfigured();
+    if (!aiAvailable) {
+      const parts = blueprint
+        ? blueprint.parts.map(part => ({ levelCounts: blueprintPartLevelCounts(part), questionTypes: part.questionTypes }))
+        : [{ levelCounts: target, questionTypes }];
+      for (const part of parts) {
+        const gaps = ruleBasedTypeGaps(part.levelCounts, part.questionTypes);
+        if (gaps.length > 0) {
+          return res.status(400).json({ error: 'Question types not available offline', explanation: ruleBasedTypesMessage(gaps, part.questionTypes) });
+        }
+      }
     }
     
     // Generate questions based on actual content
-    const questions = await generator.generateQuestions(requirements);
+    const generationRequirements = {
+      ...requirements,
+      courseOutcomes,
+      syllabus,
+      duplicateCheck: { action: duplicateCheck.action, threshold: duplicateCheck.threshold, reference: await duplicateReference(duplicateCheck) }
+    };
+    let generated;
+    try {
+      generated = blueprint
+        ? await generator.generateBlueprintQuestions(blueprint, generationRequirements)
+        : await generator.generateQuestions(generationRequirements);
+    } catch (error) {
+      if (error.code === NO_RULE_BASED_TYPE) {
+        return res.status(400).json({ error: 'Question types not available offline', explanation: error.message });
+      }
+      if (error.code !== INSUFFICIENT_MATERIAL) throw error;
+      return res.status(400).json({ error: 'Not enough material for the requested question types', explanation: error.message });
+    }
+    const questions = courseOutcomes
+      ? await generator.mapCourseOutcomes(generated, courseOutcomes, { useAI: useAI !== false })
+      : generated;
+    const delivered = {};
+    Object.keys(BLOOM_LEVELS).forEach(level => {
+      delivered[level] = questions.filter(q => q.bloomLevel === level).length;
+    });
+    let unitCoverage;
+    if (syllabus) {
+      const unitTarget = apportion(Object.values(target).reduce((sum, count) => sum + count, 0), syllabus.units.map(unit => unit.weightage));
+      unitCoverage = {
+        target: Object.fromEntries(syllabus.units.map((unit, index) => [unit.name, unitTarget[index]])),
+        delivered: Object.fromEntries(syllabus.units.map(unit => [unit.name, questions.filter(q => q.unit === unit.name).length]))
+      };
+    }
     
     res.json({
       questions,
       totalQuestions: questions.length,
       totalMarks: questions.reduce((sum, q) => sum + q.marks, 0),
+      citedQuestions: questions.filter(q => q.source).length,
+      validationReport: summarizeValidation(questions),
+      duplicateReport: { action: duplicateCheck.action, threshold: duplicateCheck.threshold, ...summarizeDuplicates(questions) },
+      bloomCoverage: {
+        target,
+        delivered
+      },
+      blueprint,
+      courseOutcomes,
+      syllabus,
+      unitCoverage,
       isMultiDocument: isMultiDoc,
-      documentCount: isMultiDoc ? sessionData.documents.length : 1
+      documentCount: sessionData.documents.length
     });
 
   } catch (error) {
-    console.error('Question generation error:', error);
-    res.status(500).json({ error: 'Error generating questions' });
+    console.error('Question generation error:', error);
+    res.status(500).json({ error: 'Error generating questions' });
+  }
+});
+
+// Near-duplicate check of any question list, e.g. an edited set or a paper
+// put together from bank questions. Duplicates are only flagged.
+app.post('/api/check-duplicates', async (req, res) => {
+  try {
+    const { questions, duplicateCheck } = req.body || {};
+    if (!Array.isArray(questions) || questions.length === 0) {
+      return res.status(400).json({ error: 'questions must be a non-empty list' });
+    }
+
+    let check;
+    try {
+      check = parseDuplicateCheck(duplicateCheck);
+    } catch (error) {
+      return res.status(400).json({ error: 'Invalid duplicate check', explanation: error.message });
+    }
+    const checked = new AIQuestionGenerator().removeNearDuplicates(questions, {
+      action: 'flag',
+      threshold: check.threshold,
+      reference: await duplicateReference(check)
+    });
+
+    res.json({
+      checked: checked.length,
+      threshold: check.threshold,
+      duplicates: summarizeDuplicates(checked).flagged
+    });
+  } catch (error) {
+    console.error('Duplicate check error:', error);
+    res.status(500).json({ error: 'Error checking for duplicates' });
   }
 });
 
 // AI Status endpoint
 app.get('/api/ai-status', async (req, res) => {
   try {
-    console.log('Environment variable check:', {
-      GEMINI_API_KEY: process.env.GEMINI_API_KEY ? 'SET' : 'NOT SET',
-      GEMINI_API_KEY_VALUE: process.env.GEMINI_API_KEY ? process.env.GEMINI_API_KEY.substring(0, 10) + '...' : 'NONE'
-    });
-    
-    if (!GEMINI_API_KEY || !genAI) {
-      return res.json({
-        available: false,
-        message: 'Gemini API key not configured. Please set GEMINI_API_KEY in your .env file.'
-      });
-    }
+    // Every provider is checked, all at once; one that is not configured
+    // says so without contacting anything
+    const providers = {};
+    await Promise.all(Object.entries(aiProviders).map(async ([name, provider]) => {
+      const health = await provider.checkHealth();
+      console.log(`AI status: ${name} (${provider.model}) -`, health.message);
+      providers[name] = {
+        model: provider.model,
+        configured: provider.isConfigured(),
+        active: provider === activeAIProvider,
+        ...health
+      };
+    }));
 
-    // Test the API key with a simple request
-    try {
-      console.log('Testing Gemini API with model: gemini-1.5-flash');
-      const model = genAI.getGenerativeModel({ model: "gemini-1.5-flash" });
-      console.log('Model created successfully');
-      
-      const result = await model.generateContent("Hello");
-      console.log('Content generated successfully');
-      await result.response;
-      console.log('Response processed successfully');
-      
-      res.json({
-        available: true,
-        message: 'AI (Gemini) is ready'
-      });
-    } catch (error) {
-      console.error('Gemini API test error:', error);
-      res.json({
-        available: false,
-        message: 'Invalid API key or API error: ' + error.message
-      });
-    }
+    const active = providers[AI_PROVIDER];
+    res.json({
+      available: Boolean(active && active.available),
+      provider: AI_PROVIDER,
+      model: activeAIProvider ? activeAIProvider.model : null,
+      message: active ? active.message : `Unknown AI_PROVIDER '${AI_PROVIDER}'. Use gemini, openai or mock.`,
+      providers
+    });
   } catch (error) {
     res.json({
       available: false,
@@ -1395,6 +5292,7 @@ app.post('/api/test-ai-generation', async (req, res) => {
     res.json({
       success: true,
       questions,
+      validationReport: summarizeValidation(questions),
       contentLength: content.length,
       contentPreview: content.substring(0, 200) + '...'
     });
@@ -1409,15 +5307,12 @@ app.post('/api/test-ai-generation', async (req, res) => {
 app.get('/api/analyze-content/:sessionId', async (req, res) => {
   try {
     const { sessionId } = req.params;
-    const sessionData = sessionStorage.get(sessionId);
+    const sessionData = await sessionStore.get(sessionId);
     
     if (!sessionData) {
       return res.status(404).json({ error: 'Session not found' });
     }
     
-    const generator = new AIQuestionGenerator();
-    generator.content = sessionData.content;
-    
     // Analyze content
     const words = sessionData.content.toLowerCase().match(/\b\w+\b/g) || [];
     const wordFreq = {};
@@ -1447,37 +5342,97 @@ app.get('/api/analyze-content/:sessionId', async (req, res) => {
 
 app.post('/api/generate-exam-paper', async (req, res) => {
   try {
-    const { sessionId, questions, examConfig } = req.body;
-    
-    // Check both single and multi-document sessions
-    let sessionData = sessionStorage.get(sessionId);
-    let isMultiDoc = false;
-    
-    if (!sessionData) {
-      sessionData = multiDocSessions.get(sessionId);
-      isMultiDoc = true;
-    }
+    const { sessionId, examConfig, bankQuestionIds = [] } = req.body;
     
+    const sessionData = await sessionStore.get(sessionId);
     if (!sessionData) {
       return res.status(404).json({ error: 'Session not found. Please upload a document first.' });
     }
+    const isMultiDoc = sessionData.multiDocument;
     
-    let generator;
-    if (isMultiDoc) {
-      generator = sessionData.generator;
-    } else {
-      generator = new AIQuestionGenerator();
-      generator.content = sessionData.content;
-      generator.visualElements = sessionData.visualElements;
+    const generator = restoreGenerator(sessionData);
+    
+    // Bank questions are placed after the freshly generated ones
+    if (!Array.isArray(bankQuestionIds)) {
+      return res.status(400).json({ error: 'Invalid bank question ids', explanation: 'bankQuestionIds must be a list of question bank ids' });
+    }
+    const fromBank = await questionBank.take(bankQuestionIds);
+    if (fromBank.missing.length > 0) {
+      return res.status(404).json({ error: 'Question bank entries not found', missing: fromBank.missing });
+    }
+    const candidates = [...(req.body.questions || []), ...fromBank.questions];
+
+    // Course outcomes are mapped before the paper is assembled, so every set
+    // and its summary carry the same codes
+    let courseOutcomes = null;
+    if (examConfig && examConfig.courseOutcomes) {
+      try {
+        courseOutcomes = parseCourseOutcomes(examConfig.courseOutcomes);
+      } catch (error) {
+        return res.status(400).json({ error: 'Invalid course outcomes', explanation: error.message });
+      }
+    }
+    let syllabus = sessionData.syllabus || null;
+    if (examConfig && examConfig.syllabus) {
+      try {
+        syllabus = readSyllabus(examConfig.syllabus);
+      } catch (error) {
+        return res.status(400).json({ error: 'Invalid syllabus', explanation: error.message });
+      }
+    }
+    const questions = courseOutcomes
+      ? await generator.mapCourseOutcomes(candidates, courseOutcomes, { useAI: examConfig.useAI !== false })
+      : candidates;
+
+    const { maxMarks, markStep = 1 } = examConfig || {};
+    let blueprint = null;
+    if (examConfig && examConfig.blueprint) {
+      try {
+        blueprint = await blueprintStore.resolve(examConfig.blueprint);
+      } catch (error) {
+        return res.status(400).json({ error: error.message });
+      }
+      if (maxMarks && maxMarks !== blueprint.totalMarks) {
+        return res.status(400).json({
+          error: 'Marks budget cannot be met',
+          explanation: `Blueprint '${blueprint.title}' is worth ${blueprint.totalMarks} marks, not ${maxMarks}`
+        });
+      }
+      const assignment = generator.assignQuestionsToParts(questions, blueprint);
+      if (assignment.problems.length > 0) {
+        return res.status(400).json({ error: 'Questions do not fill the blueprint', explanation: assignment.problems.join(' ') });
+      }
+    } else if (maxMarks) {
+      const budget = generator.fitMarksToBudget(questions, maxMarks, markStep);
+      if (!budget.feasible) {
+        return res.status(400).json({ error: 'Marks budget cannot be met', explanation: budget.reason });
+      }
+    }
+
+    const examPaper = generator.generateExamPaper(questions, { ...examConfig, blueprint, courseOutcomes, syllabus });
+
+    // Optional shuffled variants (Set A, B, ...) with their own answer keys
+    let sets;
+    if (examConfig && examConfig.sets) {
+      const { count, seed = uuidv4() } = examConfig.sets;
+      if (!Number.isInteger(count) || count < 1 || count > 26) {
+        return res.status(400).json({ error: 'sets.count must be a whole number from 1 to 26' });
+      }
+      sets = generator.generateExamPaperSets(questions, { ...examConfig, blueprint, courseOutcomes, syllabus }, { ...examConfig.sets, seed });
     }
     
-    const examPaper = generator.generateExamPaper(questions, examConfig);
+    // Rubrics once marks are final; sets reuse the rubric of a shared question
+    await generator.attachRubrics([examPaper, ...(sets || []).map(set => set.examPaper)], {
+      useAI: !examConfig || examConfig.useAI !== false
+    });
     
     res.json({
       examPaper,
+      answerKey: generateAnswerKey(examPaper),
+      ...(sets ? { sets } : {}),
       message: 'Exam paper generated successfully',
       isMultiDocument: isMultiDoc,
-      documentCount: isMultiDoc ? sessionData.documents.length : 1
+      documentCount: sessionData.documents.length
     });
 
   } catch (error) {
@@ -1486,35 +5441,295 @@ app.post('/api/generate-exam-paper', async (req, res) => {
   }
 });
 
-app.post('/api/export-pdf', async (req, res) => {
+// Rubrics for essay and long short-answer questions. Questions that already
+// carry a rubric fitting their marks keep it; drop 'rubric' to regenerate.
+app.post('/api/generate-rubrics', async (req, res) => {
   try {
-    const { examPaper } = req.body;
-    
-    console.log('PDF Export: Starting PDF generation...');
-    console.log('PDF Export: Exam paper structure:', JSON.stringify(examPaper, null, 2));
-    
-    if (!examPaper) {
-      throw new Error('No exam paper data provided');
+    const { sessionId, questions, useAI = true } = req.body;
+    if (!Array.isArray(questions) || questions.length === 0) {
+      return res.status(400).json({ error: 'No questions provided' });
     }
-    
-    // Generate HTML content for the exam paper
-    const htmlContent = generateExamPaperHTML(examPaper);
-    console.log('PDF Export: HTML content generated, length:', htmlContent.length);
-    
-    // Launch Puppeteer with Windows-compatible settings
-    const browser = await puppeteer.launch({
-      headless: true,
-      args: [
-        '--no-sandbox',
-        '--disable-setuid-sandbox',
-        '--disable-dev-shm-usage',
-        '--disable-accelerated-2d-canvas',
-        '--no-first-run',
-        '--no-zygote',
-        '--disable-gpu'
-      ]
+    const invalid = questions.findIndex(q => !q || typeof q.marks !== 'number' || !(q.marks > 0));
+    if (invalid >= 0) {
+      return res.status(400).json({ error: `Question ${invalid + 1} needs positive marks to build a rubric` });
+    }
+
+    // The session's content, when given, helps pick the key terms of rule-based rubrics
+    let generator = new AIQuestionGenerator();
+    if (sessionId) {
+      const sessionData = await sessionStore.get(sessionId);
+      if (!sessionData) {
+        return res.status(404).json({ error: 'Session not found. Please upload a document first.' });
+      }
+      generator = restoreGenerator(sessionData);
+    }
+
+    const paper = { parts: [{ questions: questions.map(q => ({ ...q })) }] };
+    await generator.attachRubrics([paper], { useAI });
+    res.json({
+      questions: paper.parts[0].questions,
+      rubricCount: paper.parts[0].questions.filter(q => q.rubric).length
     });
-    
+  } catch (error) {
+    console.error('Rubric generation error:', error);
+    res.status(500).json({ error: 'Error generating rubrics' });
+  }
+});
+
+// Blueprint routes
+app.get('/api/blueprints', async (req, res) => {
+  try {
+    const blueprints = await blueprintStore.list();
+    res.json({ blueprints });
+  } catch (error) {
+    console.error('List blueprints error:', error);
+    res.status(500).json({ error: 'Error listing blueprints' });
+  }
+});
+
+app.get('/api/blueprints/:name', async (req, res) => {
+  try {
+    const blueprint = await blueprintStore.get(req.params.name);
+    if (!blueprint) {
+      return res.status(404).json({ error: 'Blueprint not found' });
+    }
+    res.json({ blueprint });
+  } catch (error) {
+    console.error('Get blueprint error:', error);
+    res.status(500).json({ error: 'Error retrieving blueprint' });
+  }
+});
+
+app.put('/api/blueprints/:name', async (req, res) => {
+  try {
+    const { name } = req.params;
+    if (BUILT_IN_BLUEPRINTS.some(blueprint => blueprint.name === name)) {
+      return res.status(409).json({ error: `'${name}' is a built-in blueprint; save yours under another name` });
+    }
+
+    let blueprint;
+    try {
+      blueprint = await blueprintStore.save(name, req.body);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+    res.json({ blueprint, message: 'Blueprint saved' });
+  } catch (error) {
+    console.error('Save blueprint error:', error);
+    res.status(500).json({ error: 'Error saving blueprint' });
+  }
+});
+
+app.delete('/api/blueprints/:name', async (req, res) => {
+  try {
+    if (BUILT_IN_BLUEPRINTS.some(blueprint => blueprint.name === req.params.name)) {
+      return res.status(409).json({ error: 'Built-in blueprints cannot be deleted' });
+    }
+    const removed = await blueprintStore.remove(req.params.name);
+    if (!removed) {
+      return res.status(404).json({ error: 'Blueprint not found' });
+    }
+    res.json({ message: 'Blueprint deleted' });
+  } catch (error) {
+    console.error('Delete blueprint error:', error);
+    res.status(500).json({ error: 'Error deleting blueprint' });
+  }
+});
+
+// Session lifetime routes
+app.get('/api/sessions/:sessionId', async (req, res) => {
+  try {
+    const sessionData = await sessionStore.get(req.params.sessionId);
+    if (!sessionData) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+    res.json(describeSession(sessionData));
+  } catch (error) {
+    console.error('Get session error:', error);
+    res.status(500).json({ error: 'Error retrieving session' });
+  }
+});
+
+app.post('/api/sessions/:sessionId/extend', async (req, res) => {
+  try {
+    const { minutes = SESSION_TTL_MS / 60000 } = req.body || {};
+    if (typeof minutes !== 'number' || minutes < 1 || minutes > 24 * 60) {
+      return res.status(400).json({ error: 'minutes must be a number between 1 and 1440' });
+    }
+
+    const sessionData = await sessionStore.get(req.params.sessionId);
+    if (!sessionData) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    sessionData.expiresAt = new Date(new Date(sessionData.expiresAt).getTime() + minutes * 60000).toISOString();
+    await sessionStore.set(sessionData);
+    res.json({ ...describeSession(sessionData), message: 'Session extended' });
+  } catch (error) {
+    console.error('Extend session error:', error);
+    res.status(500).json({ error: 'Error extending session' });
+  }
+});
+
+// Set the session's syllabus from { syllabus } (units or plain text) or an
+// uploaded syllabus document
+app.put('/api/sessions/:sessionId/syllabus', upload.single('document'), async (req, res) => {
+  try {
+    const sessionData = await sessionStore.get(req.params.sessionId);
+    if (!sessionData) {
+      if (req.file) await fs.remove(req.file.path);
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    let input = req.body && req.body.syllabus;
+    if (req.file) {
+      try {
+        const reader = new AIQuestionGenerator();
+        input = (await reader.addDocument(req.file.path, req.file.mimetype, req.file.originalname)).content;
+      } finally {
+        await fs.remove(req.file.path);
+      }
+    }
+    if (!input) {
+      return res.status(400).json({ error: 'Send a syllabus or upload a syllabus document' });
+    }
+
+    try {
+      sessionData.syllabus = readSyllabus(input);
+    } catch (error) {
+      return res.status(400).json({ error: 'Invalid syllabus', explanation: error.message });
+    }
+    await sessionStore.set(sessionData);
+    res.json({ ...describeSession(sessionData), message: 'Syllabus saved' });
+  } catch (error) {
+    console.error('Set syllabus error:', error);
+    res.status(500).json({ error: 'Error saving syllabus' });
+  }
+});
+
+app.delete('/api/sessions/:sessionId/syllabus', async (req, res) => {
+  try {
+    const sessionData = await sessionStore.get(req.params.sessionId);
+    if (!sessionData) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    sessionData.syllabus = null;
+    await sessionStore.set(sessionData);
+    res.json({ ...describeSession(sessionData), message: 'Syllabus removed' });
+  } catch (error) {
+    console.error('Remove syllabus error:', error);
+    res.status(500).json({ error: 'Error removing syllabus' });
+  }
+});
+
+app.delete('/api/sessions/:sessionId', async (req, res) => {
+  try {
+    const sessionData = await sessionStore.get(req.params.sessionId);
+    if (!sessionData) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    await endSession(sessionData);
+    res.json({ message: 'Session ended and its files deleted' });
+  } catch (error) {
+    console.error('End session error:', error);
+    res.status(500).json({ error: 'Error ending session' });
+  }
+});
+
+// Question bank routes
+app.post('/api/question-bank', async (req, res) => {
+  try {
+    const { questions, tags = {}, sessionId = null } = req.body;
+
+    if (!Array.isArray(questions) || questions.length === 0) {
+      return res.status(400).json({ error: 'No questions provided' });
+    }
+    const invalid = questions.filter(q =>
+      !q || !q.content || !BLOOM_LEVELS[q.bloomLevel] || !Object.values(QUESTION_TYPES).includes(q.type));
+    if (invalid.length > 0) {
+      return res.status(400).json({ error: 'Every question needs content, a valid bloomLevel and a valid type', invalid: invalid.length });
+    }
+
+    const result = await questionBank.save(questions, tags, sessionId);
+    console.log(`Question bank: saved ${result.saved.length}, skipped ${result.skipped.length}`);
+    res.json({
+      saved: result.saved,
+      skipped: result.skipped,
+      message: `${result.saved.length} question(s) saved to the bank`
+    });
+  } catch (error) {
+    console.error('Question bank save error:', error);
+    res.status(500).json({ error: 'Error saving questions to the bank' });
+  }
+});
+
+app.get('/api/question-bank', async (req, res) => {
+  try {
+    res.json(await questionBank.search(req.query));
+  } catch (error) {
+    console.error('Question bank search error:', error);
+    res.status(500).json({ error: 'Error searching the question bank' });
+  }
+});
+
+app.get('/api/question-bank/:id', async (req, res) => {
+  try {
+    const question = await questionBank.get(req.params.id);
+    if (!question) {
+      return res.status(404).json({ error: 'Question not found' });
+    }
+    res.json({ question });
+  } catch (error) {
+    console.error('Question bank read error:', error);
+    res.status(500).json({ error: 'Error reading the question bank' });
+  }
+});
+
+app.patch('/api/question-bank/:id', async (req, res) => {
+  try {
+    const question = await questionBank.updateTags(req.params.id, req.body.tags || {});
+    if (!question) {
+      return res.status(404).json({ error: 'Question not found' });
+    }
+    res.json({ question });
+  } catch (error) {
+    console.error('Question bank update error:', error);
+    res.status(500).json({ error: 'Error updating the question' });
+  }
+});
+
+app.delete('/api/question-bank/:id', async (req, res) => {
+  try {
+    const removed = await questionBank.remove(req.params.id);
+    if (!removed) {
+      return res.status(404).json({ error: 'Question not found' });
+    }
+    res.json({ message: 'Question removed from the bank' });
+  } catch (error) {
+    console.error('Question bank delete error:', error);
+    res.status(500).json({ error: 'Error removing the question' });
+  }
+});
+
+// Render HTML to an A4 PDF with Puppeteer
+async function renderPDF(htmlContent) {
+  // Launch Puppeteer with Windows-compatible settings
+  const browser = await puppeteer.launch({
+    headless: true,
+    args: [
+      '--no-sandbox',
+      '--disable-setuid-sandbox',
+      '--disable-dev-shm-usage',
+      '--disable-accelerated-2d-canvas',
+      '--no-first-run',
+      '--no-zygote',
+      '--disable-gpu'
+    ]
+  });
+  
+  try {
     console.log('PDF Export: Browser launched successfully');
     const page = await browser.newPage();
     console.log('PDF Export: New page created');
@@ -1547,13 +5762,24 @@ app.post('/api/export-pdf', async (req, res) => {
     }
     
     console.log('PDF Export: PDF validation passed - proceeding with download');
-    
+    return pdfBuffer;
+  } finally {
     await browser.close();
     console.log('PDF Export: Browser closed');
+  }
+}
+
+// Send a document built by buildHTML() as a PDF download, falling back to an
+// HTML download when the PDF cannot be rendered
+async function sendPDF(res, buildHTML, fileNamePrefix) {
+  try {
+    const htmlContent = buildHTML();
+    console.log('PDF Export: HTML content generated, length:', htmlContent.length);
+    const pdfBuffer = await renderPDF(htmlContent);
     
     // Set response headers for PDF download
     res.setHeader('Content-Type', 'application/pdf');
-    res.setHeader('Content-Disposition', `attachment; filename="exam-paper-${Date.now()}.pdf"`);
+    res.setHeader('Content-Disposition', `attachment; filename="${fileNamePrefix}-${Date.now()}.pdf"`);
     res.setHeader('Content-Length', pdfBuffer.length);
     res.setHeader('Cache-Control', 'no-cache');
     
@@ -1565,10 +5791,10 @@ app.post('/api/export-pdf', async (req, res) => {
     // Try fallback method - return HTML content for manual download
     try {
       console.log('PDF Export: Attempting fallback to HTML download...');
-      const htmlContent = generateExamPaperHTML(req.body.examPaper);
+      const htmlContent = buildHTML();
       
       res.setHeader('Content-Type', 'text/html');
-      res.setHeader('Content-Disposition', `attachment; filename="exam-paper-${Date.now()}.html"`);
+      res.setHeader('Content-Disposition', `attachment; filename="${fileNamePrefix}-${Date.now()}.html"`);
       res.setHeader('Cache-Control', 'no-cache');
       res.send(htmlContent);
     } catch (fallbackError) {
@@ -1580,18 +5806,182 @@ app.post('/api/export-pdf', async (req, res) => {
       });
     }
   }
+}
+
+app.post('/api/export-pdf', async (req, res) => {
+  const { examPaper } = req.body;
+  
+  console.log('PDF Export: Starting PDF generation...');
+  console.log('PDF Export: Exam paper structure:', JSON.stringify(examPaper, null, 2));
+  
+  if (!examPaper) {
+    return res.status(400).json({ error: 'No exam paper data provided' });
+  }
+  
+  await sendPDF(res, () => generateExamPaperHTML(examPaper), 'exam-paper');
+});
+
+// Moodle XML for importing questions into a Moodle question bank
+app.post('/api/export-moodle', (req, res) => {
+  try {
+    const questions = collectExportQuestions(req.body);
+    if (questions.length === 0) {
+      return res.status(400).json({ error: 'No questions provided' });
+    }
+    const header = req.body.examPaper && req.body.examPaper.header;
+    const baseCategory = req.body.category || (header && header.courseCode) || 'Generated Questions';
+    
+    const xml = generateMoodleXML(questions, { baseCategory: String(baseCategory) });
+    console.log(`Moodle export: ${questions.length} questions, ${xml.length} bytes`);
+    
+    res.setHeader('Content-Type', 'application/xml');
+    res.setHeader('Content-Disposition', `attachment; filename="moodle-questions-${Date.now()}.xml"`);
+    res.send(xml);
+  } catch (error) {
+    console.error('Moodle export error:', error);
+    res.status(500).json({ error: 'Error generating Moodle XML' });
+  }
+});
+
+// IMS QTI 2.1 or 3.0 content package for Canvas, Blackboard and other LMSs
+app.post('/api/export-qti', async (req, res) => {
+  try {
+    const { examPaper, version = '2.1' } = req.body;
+    if (!QTI_VERSIONS[version]) {
+      return res.status(400).json({ error: `QTI version must be one of ${Object.keys(QTI_VERSIONS).join(', ')}` });
+    }
+    const questions = collectExportQuestions(req.body);
+    if (questions.length === 0) {
+      return res.status(400).json({ error: 'No questions provided' });
+    }
+    
+    // A paper keeps its parts as test sections
+    const fromPaper = !(Array.isArray(req.body.questions) && req.body.questions.length > 0);
+    const sections = fromPaper
+      ? examPaper.parts.map(part => ({ title: part.name, questions: part.questions || [] }))
+      : [{ title: 'Questions', questions }];
+    const header = fromPaper ? examPaper.header || {} : {};
+    const title = req.body.title || [header.courseCode, header.courseName].filter(Boolean).join(' ') || 'Generated Questions';
+    
+    const { buffer, skipped } = await generateQTIPackage(sections, { version, title: String(title) });
+    if (skipped.length === questions.length) {
+      return res.status(400).json({
+        error: 'No questions can be scored',
+        explanation: 'Every multiple-choice or true/false question has a correct answer that is not one of its options.',
+        skipped
+      });
+    }
+    console.log(`QTI ${version} export: ${questions.length - skipped.length} items, ${skipped.length} skipped, ${buffer.length} bytes`);
+    skipped.forEach(item => console.log(`QTI export skipped ${item.number || item.id}: ${item.reason}`));
+    
+    // Questions left out of the package, e.g. "1.3, 2.1" or their ids
+    if (skipped.length > 0) {
+      res.setHeader('X-Skipped-Questions', skipped.map(item => item.number || item.id).join(', '));
+    }
+    res.setHeader('Content-Type', 'application/zip');
+    res.setHeader('Content-Disposition', `attachment; filename="qti${version.replace('.', '')}-package-${Date.now()}.zip"`);
+    res.send(buffer);
+  } catch (error) {
+    console.error('QTI export error:', error);
+    res.status(500).json({ error: 'Error generating QTI package' });
+  }
+});
+
+// Word version of the exam paper for editing before printing
+app.post('/api/export-docx', async (req, res) => {
+  try {
+    const { examPaper } = req.body;
+    if (!examPaper || !Array.isArray(examPaper.parts) || !examPaper.header) {
+      return res.status(400).json({ error: 'No exam paper data provided' });
+    }
+    
+    const buffer = await generateExamPaperDocx(examPaper);
+    console.log('Word export: document generated, size:', buffer.length);
+    
+    res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.wordprocessingml.document');
+    res.setHeader('Content-Disposition', `attachment; filename="exam-paper-${Date.now()}.docx"`);
+    res.setHeader('Content-Length', buffer.length);
+    res.send(buffer);
+  } catch (error) {
+    console.error('Word export error:', error);
+    res.status(500).json({ error: 'Error generating Word document' });
+  }
+});
+
+// LaTeX project (exam document class) for departments that typeset papers
+app.post('/api/export-latex', async (req, res) => {
+  try {
+    const { examPaper, includeSolutions = false } = req.body;
+    if (!examPaper || !Array.isArray(examPaper.parts) || !examPaper.header) {
+      return res.status(400).json({ error: 'No exam paper data provided' });
+    }
+    
+    const buffer = await generateExamPaperLaTeX(examPaper, { includeSolutions: Boolean(includeSolutions) });
+    console.log('LaTeX export: project generated, size:', buffer.length);
+    
+    res.setHeader('Content-Type', 'application/zip');
+    res.setHeader('Content-Disposition', `attachment; filename="exam-paper-latex-${Date.now()}.zip"`);
+    res.send(buffer);
+  } catch (error) {
+    console.error('LaTeX export error:', error);
+    res.status(500).json({ error: 'Error generating LaTeX project' });
+  }
+});
+
+// Examiner's companion to the paper: answer key and point-wise marking scheme
+app.post('/api/export-marking-scheme', async (req, res) => {
+  try {
+    const { examPaper } = req.body;
+    
+    console.log('PDF Export: Starting marking scheme generation...');
+    
+    if (!examPaper || !Array.isArray(examPaper.parts)) {
+      return res.status(400).json({ error: 'No exam paper data provided' });
+    }
+    const malformed = examPaper.parts.findIndex(part => !part || !Array.isArray(part.questions) ||
+      part.questions.some(q => !q || typeof q !== 'object' || Array.isArray(q)));
+    if (malformed >= 0) {
+      return res.status(400).json({
+        error: 'Invalid exam paper',
+        explanation: `Part ${malformed + 1} must have a list of questions, each an object.`
+      });
+    }
+    
+    // Edited rubrics must still fit their question's marks
+    const problems = [];
+    examPaper.parts.forEach(part => part.questions.forEach(q => {
+      if (!q.rubric) return;
+      q.rubric = normalizeRubric(q.rubric);
+      const errors = validateRubric(q.rubric, q.marks);
+      if (errors.length > 0) {
+        problems.push(`Question ${q.number}: ${errors.join('; ')}.`);
+      }
+    }));
+    if (problems.length > 0) {
+      return res.status(400).json({ error: 'Invalid rubric', explanation: problems.join(' ') });
+    }
+    
+    // Questions that should have a rubric but arrive without one get a rule-based rubric
+    await new AIQuestionGenerator().attachRubrics([examPaper], { useAI: false });
+    
+    await sendPDF(res, () => generateMarkingSchemeHTML(generateMarkingScheme(examPaper)), 'marking-scheme');
+  } catch (error) {
+    console.error('Marking scheme export error:', error);
+    res.status(500).json({ error: 'Error generating marking scheme' });
+  }
 });
 
-// Function to generate HTML content for the exam paper
-function generateExamPaperHTML(examPaper) {
-  return `
-    <!DOCTYPE html>
-    <html lang="en">
-    <head>
-      <meta charset="UTF-8">
-      <meta name="viewport" content="width=device-width, initial-scale=1.0">
-      <title>${examPaper.header.institutionName} - Exam Paper</title>
-      <style>
+// Escape text taken from uploaded documents before placing it in HTML
+function escapeHTML(text) {
+  return String(text == null ? '' : text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// Print styles shared by the exam paper and the marking scheme
+const EXAM_HTML_STYLES = `
         @page {
           size: A4;
           margin: 20mm;
@@ -1635,6 +6025,15 @@ function generateExamPaperHTML(examPaper) {
           border-bottom: 1px solid #ccc;
           padding-bottom: 5px;
         }
+        .part-instructions {
+          font-style: italic;
+          margin-bottom: 15px;
+        }
+        .choice-or {
+          text-align: center;
+          font-weight: bold;
+          margin: -10px 0 10px;
+        }
         .question {
           margin-bottom: 20px;
           page-break-inside: avoid;
@@ -1672,6 +6071,32 @@ function generateExamPaperHTML(examPaper) {
           background-color: #f5f5f5;
           font-weight: bold;
         }
+        .summary-table td.excerpt {
+          text-align: left;
+          font-style: italic;
+        }
+        .answer-table td.answer {
+          text-align: left;
+        }
+        .model-answer {
+          margin: 5px 0 10px 20px;
+        }
+        .marking-points {
+          margin-left: 20px;
+          width: calc(100% - 20px);
+          margin-top: 0;
+        }
+        .marking-points td.point {
+          text-align: left;
+        }
+        .rubric td {
+          vertical-align: top;
+        }
+        .examiner-note {
+          margin-left: 20px;
+          font-style: italic;
+          color: #666;
+        }
         .page-break {
           page-break-before: always;
         }
@@ -1679,6 +6104,53 @@ function generateExamPaperHTML(examPaper) {
           body { margin: 0; }
           .page-break { page-break-before: always; }
         }
+`;
+
+// Headings and rows of the CO x Bloom marks matrix, shared by the HTML, Word
+// and LaTeX papers. Levels without a mark show '-'.
+function courseOutcomeMatrixRows(matrix) {
+  const headings = ['Course Outcome', ...matrix.levels.map(level => BLOOM_LEVELS[level].name), 'Total Marks', 'Questions'];
+  const rows = matrix.rows.map(row => [
+    row.code,
+    ...matrix.levels.map(level => (row.marks[level] ? String(row.marks[level]) : '-')),
+    String(row.totalMarks),
+    row.questions.join(', ') || '-'
+  ]);
+  rows.push(['Total', ...matrix.levels.map(level => String(matrix.levelTotals[level])), String(matrix.totalMarks), '']);
+  return { headings, rows };
+}
+
+// Headings and rows of the unit-wise marks table, shared by the HTML, Word
+// and LaTeX papers
+function unitSummaryRows(unitSummary, hasChoice) {
+  const headings = ['Unit', 'Weightage (%)', 'Number of Questions', hasChoice ? 'Printed Marks' : 'Marks', 'Share of Marks (%)',
+    ...(hasChoice ? ['Attemptable Marks'] : [])];
+  const rows = unitSummary.map(row => [
+    row.unit,
+    row.weightage === null ? '-' : String(row.weightage),
+    String(row.count),
+    String(row.marks),
+    String(row.share),
+    ...(hasChoice ? [String(row.attemptableMarks)] : [])
+  ]);
+  return { headings, rows };
+}
+
+// Function to generate HTML content for the exam paper
+function generateExamPaperHTML(examPaper) {
+  // With internal choice, candidates attempt fewer marks than are printed
+  const marksSummary = examPaper.marksSummary;
+  const hasChoice = Boolean(marksSummary && marksSummary.printedMarks !== marksSummary.attemptableMarks);
+
+  return `
+    <!DOCTYPE html>
+    <html lang="en">
+    <head>
+      <meta charset="UTF-8">
+      <meta name="viewport" content="width=device-width, initial-scale=1.0">
+      <title>${examPaper.header.institutionName} - Exam Paper</title>
+      <style>
+        ${EXAM_HTML_STYLES}
       </style>
     </head>
     <body>
@@ -1687,6 +6159,7 @@ function generateExamPaperHTML(examPaper) {
         <div class="course-details">${examPaper.header.courseName}</div>
         <div class="course-details">${examPaper.header.courseCode}</div>
         <div class="course-details">${examPaper.header.examSession}</div>
+        ${examPaper.header.setLabel ? `<div class="course-details">Set ${examPaper.header.setLabel}</div>` : ''}
       </div>
       
       <div class="exam-info">
@@ -1698,17 +6171,19 @@ function generateExamPaperHTML(examPaper) {
       ${examPaper.parts.map((part, partIndex) => `
         <div class="section">
           <div class="section-title">${part.name} ${part.description}</div>
+          ${part.instructions ? `<div class="part-instructions">${escapeHTML(part.instructions)}</div>` : ''}
           ${part.questions.map((question, questionIndex) => `
             <div class="question">
-              <div class="question-number">${partIndex + 1}.${questionIndex + 1} ${question.content} <span class="marks">[${question.marks} marks]</span></div>
+              <div class="question-number">${question.number || `${partIndex + 1}.${questionIndex + 1}`} ${escapeHTML(question.content)} <span class="marks">[${question.marks} marks]</span></div>
               ${question.options && question.options.length > 0 ? `
                 <div class="options">
                   ${question.options.map((option, optionIndex) => `
-                    <div class="option">${String.fromCharCode(65 + optionIndex)}. ${option}</div>
+                    <div class="option">${String.fromCharCode(65 + optionIndex)}. ${escapeHTML(option)}</div>
                   `).join('')}
                 </div>
               ` : ''}
             </div>
+            ${question.choiceLabel === 'a' ? '<div class="choice-or">OR</div>' : ''}
           `).join('')}
         </div>
       `).join('')}
@@ -1723,7 +6198,8 @@ function generateExamPaperHTML(examPaper) {
               <th>Bloom's Taxonomy Level</th>
               <th>Course Outcome</th>
               <th>Number of Questions</th>
-              <th>Total Marks</th>
+              <th>${hasChoice ? 'Printed Marks' : 'Total Marks'}</th>
+              ${hasChoice ? '<th>Attemptable Marks</th>' : ''}
             </tr>
           </thead>
           <tbody>
@@ -1733,16 +6209,1166 @@ function generateExamPaperHTML(examPaper) {
                 <td>${data.code}</td>
                 <td>${data.count}</td>
                 <td>${data.marks}</td>
+                ${hasChoice ? `<td>${data.attemptableMarks}</td>` : ''}
               </tr>
             `).join('')}
+            ${hasChoice ? `
+              <tr>
+                <th colspan="3">Total</th>
+                <th>${marksSummary.printedMarks}</th>
+                <th>${marksSummary.attemptableMarks}</th>
+              </tr>
+            ` : ''}
           </tbody>
         </table>
       </div>
+      
+      ${examPaper.unitSummary ? (() => {
+        const { headings, rows } = unitSummaryRows(examPaper.unitSummary, hasChoice);
+        return `
+        <div class="section">
+          <div class="section-title">Unit-wise Marks</div>
+          <table class="summary-table">
+            <thead>
+              <tr>${headings.map(heading => `<th>${heading}</th>`).join('')}</tr>
+            </thead>
+            <tbody>
+              ${rows.map(row => `<tr>${row.map(cell => `<td>${escapeHTML(cell)}</td>`).join('')}</tr>`).join('')}
+            </tbody>
+          </table>
+        </div>
+        `;
+      })() : ''}
+      
+      ${examPaper.coMatrix ? (() => {
+        const { headings, rows } = courseOutcomeMatrixRows(examPaper.coMatrix);
+        return `
+        <div class="section">
+          <div class="section-title">Course Outcome Mapping (Marks)</div>
+          <table class="summary-table">
+            <thead>
+              <tr>${headings.map(heading => `<th>${heading}</th>`).join('')}</tr>
+            </thead>
+            <tbody>
+              ${rows.map((row, index) => `
+                <tr>${row.map(cell => (index === rows.length - 1 ? `<th>${cell}</th>` : `<td>${escapeHTML(cell)}</td>`)).join('')}</tr>
+              `).join('')}
+            </tbody>
+          </table>
+          ${examPaper.coMatrix.rows.map(row => `<p><strong>${escapeHTML(row.code)}:</strong> ${escapeHTML(row.statement)}</p>`).join('')}
+        </div>
+        `;
+      })() : ''}
+      
+      ${examPaper.slideReferences && examPaper.slideReferences.length > 0 ? `
+        <div class="section">
+          <div class="section-title">Slide References</div>
+          <table class="summary-table">
+            <thead>
+              <tr>
+                <th>Question</th>
+                <th>Presentation</th>
+                <th>Slide</th>
+              </tr>
+            </thead>
+            <tbody>
+              ${examPaper.slideReferences.map(reference => `
+                <tr>
+                  <td>${reference.questionNumber}</td>
+                  <td>${escapeHTML(reference.fileName)}</td>
+                  <td>${reference.slide}</td>
+                </tr>
+              `).join('')}
+            </tbody>
+          </table>
+        </div>
+      ` : ''}
+      
+      ${examPaper.sourceAppendix && examPaper.sourceAppendix.length > 0 ? `
+        <div class="page-break"></div>
+        
+        <div class="section">
+          <div class="section-title">Reviewer Appendix: Question Sources (not for candidates)</div>
+          <table class="summary-table">
+            <thead>
+              <tr>
+                <th>Question</th>
+                <th>Document</th>
+                <th>Page / Slide</th>
+                <th>Supporting Excerpt</th>
+              </tr>
+            </thead>
+            <tbody>
+              ${examPaper.sourceAppendix.map(reference => `
+                <tr>
+                  <td>${reference.questionNumber}</td>
+                  <td>${escapeHTML(reference.fileName)}</td>
+                  <td>${reference.slide ? `Slide ${reference.slide}` : reference.page ? `Page ${reference.page}` : '-'}</td>
+                  <td class="excerpt">${escapeHTML(reference.excerpt)}${reference.matchedBy === 'similarity' ? ' <em>(matched by similarity)</em>' : ''}</td>
+                </tr>
+              `).join('')}
+            </tbody>
+          </table>
+        </div>
+      ` : ''}
+    </body>
+    </html>
+  `;
+}
+
+// HTML for the answer key and marking scheme: objective items in a key
+// table per part, descriptive items with their model answer and marks per point
+function generateMarkingSchemeHTML(scheme) {
+  const header = scheme.header;
+  const formatMarks = marks => `${marks} mark${marks === 1 ? '' : 's'}`;
+
+  return `
+    <!DOCTYPE html>
+    <html lang="en">
+    <head>
+      <meta charset="UTF-8">
+      <meta name="viewport" content="width=device-width, initial-scale=1.0">
+      <title>${header.institutionName} - Marking Scheme</title>
+      <style>
+        ${EXAM_HTML_STYLES}
+      </style>
+    </head>
+    <body>
+      <div class="header">
+        <div class="institution-name">${header.institutionName}</div>
+        <div class="course-details">${header.courseName}</div>
+        <div class="course-details">${header.courseCode}</div>
+        <div class="course-details">${header.examSession}</div>
+        ${header.setLabel ? `<div class="course-details">Set ${header.setLabel}</div>` : ''}
+        <div class="course-details"><strong>Answer Key and Marking Scheme (for examiners only)</strong></div>
+      </div>
+      
+      <div class="exam-info">
+        <div>Duration: ${header.duration}</div>
+        <div>Date: ${header.date}</div>
+        <div>Max Marks: ${header.maxMarks}</div>
+      </div>
+      
+      ${scheme.parts.map(part => {
+        const objective = part.questions.filter(q => q.objective);
+        const descriptive = part.questions.filter(q => !q.objective);
+        return `
+        <div class="section">
+          <div class="section-title">${part.name} ${part.description || ''}</div>
+          ${part.instructions ? `<div class="part-instructions">${escapeHTML(part.instructions)}</div>` : ''}
+          ${objective.length > 0 ? `
+            <table class="summary-table answer-table">
+              <thead>
+                <tr>
+                  <th>Question</th>
+                  <th>Answer</th>
+                  <th>Marks</th>
+                </tr>
+              </thead>
+              <tbody>
+                ${objective.map(q => `
+                  <tr>
+                    <td>${q.number}</td>
+                    <td class="answer">${q.correctOption ? `${q.correctOption}. ` : ''}${escapeHTML(answerKeyText(q))}</td>
+                    <td>${q.marks}</td>
+                  </tr>
+                `).join('')}
+              </tbody>
+            </table>
+          ` : ''}
+          ${descriptive.map(q => `
+            <div class="question">
+              <div class="question-number">${q.number} ${escapeHTML(q.content)} <span class="marks">[${formatMarks(q.marks)}]</span></div>
+              <div class="model-answer"><strong>Model answer:</strong> ${escapeHTML(q.modelAnswer) || '<em>Not available</em>'}</div>
+              ${q.markingPoints.length > 0 ? `
+                <table class="summary-table marking-points">
+                  <thead>
+                    <tr>
+                      <th>Marking Point</th>
+                      <th>Marks</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    ${q.markingPoints.map(point => `
+                      <tr>
+                        <td class="point">${escapeHTML(point.point)}</td>
+                        <td>${point.marks}</td>
+                      </tr>
+                    `).join('')}
+                  </tbody>
+                </table>
+              ` : ''}
+              ${q.rubric ? `
+                <table class="summary-table marking-points rubric">
+                  <thead>
+                    <tr>
+                      <th>Criterion</th>
+                      <th colspan="${Math.max(...q.rubric.criteria.map(criterion => criterion.levels.length))}">Performance Levels</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    ${q.rubric.criteria.map(criterion => `
+                      <tr>
+                        <td class="point"><strong>${escapeHTML(criterion.name)}</strong> (${formatMarks(criterion.marks)})</td>
+                        ${criterion.levels.map(level => `
+                          <td class="point"><strong>${escapeHTML(level.label)} (${level.marks})</strong><br>${escapeHTML(level.descriptor)}</td>
+                        `).join('')}
+                      </tr>
+                    `).join('')}
+                  </tbody>
+                </table>
+              ` : ''}
+              ${q.explanation && q.explanation !== q.modelAnswer ? `<div class="examiner-note">${escapeHTML(q.explanation)}</div>` : ''}
+            </div>
+          `).join('')}
+        </div>
+      `;
+      }).join('')}
     </body>
     </html>
   `;
 }
 
+// Questions to export: a plain question list, or every question of an exam
+// paper in paper order (keeping its numbering)
+function collectExportQuestions({ questions, examPaper } = {}) {
+  if (Array.isArray(questions) && questions.length > 0) {
+    return questions;
+  }
+  if (examPaper && Array.isArray(examPaper.parts)) {
+    return examPaper.parts.flatMap(part => part.questions || []);
+  }
+  return [];
+}
+
+function escapeXML(text) {
+  return String(text == null ? '' : text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+// HTML wrapped in CDATA; a literal "]]>" is split across two sections
+function moodleHTMLText(html) {
+  return `<text><![CDATA[${String(html).replace(/]]>/g, ']]]]><![CDATA[>')}]]></text>`;
+}
+
+// Moodle category for a question: <base>/<Bloom level>/<Difficulty>
+function moodleCategory(question, baseCategory) {
+  const level = BLOOM_LEVELS[question.bloomLevel] ? BLOOM_LEVELS[question.bloomLevel].name : 'Unclassified';
+  const difficulty = question.difficulty ? question.difficulty.charAt(0).toUpperCase() + question.difficulty.slice(1) : 'Unrated';
+  return `$course$/top/${baseCategory.replace(/\//g, '-')}/${level}/${difficulty}`;
+}
+
+// Characters with a meaning inside a cloze {...} answer are escaped with a backslash
+function escapeClozeAnswer(text) {
+  return String(text).replace(/[\\}#~/"]/g, '\\$&');
+}
+
+// Cloze text for a fill-blank question: each _____ becomes a SHORTANSWER
+// subquestion accepting any of the blank's answers. The question's marks
+// are shared between the blanks; cloze weights are whole numbers, so half
+// marks are rounded.
+function moodleClozeText(question) {
+  const blanks = fillBlankAnswers(question);
+  const weights = apportion(Math.max(blanks.length, Math.round(question.marks || 1)), blanks.map(() => 1));
+  const subquestion = index => `{${weights[index]}:SHORTANSWER:${blanks[index].map(answer => `=${escapeClozeAnswer(answer)}`).join('~')}}`;
+  const pieces = escapeHTML(question.content).split(/_{3,}/);
+  if (pieces.length === 1) return `${pieces[0]} ${subquestion(0)}`;
+  return pieces.map((piece, index) => (index > 0 && index <= blanks.length ? subquestion(index - 1) : '') + piece).join('');
+}
+
+// One <question> element in Moodle XML for a generated question
+function moodleQuestionXML(question, index) {
+  const name = `${question.number || index + 1}. ${String(question.content || '').replace(/\s+/g, ' ').slice(0, 60)}`;
+  const common = `
+    <name><text>${escapeXML(name)}</text></name>
+    <questiontext format="html">
+      ${moodleHTMLText(`<p>${escapeHTML(question.content)}</p>`)}
+    </questiontext>
+    <generalfeedback format="html">
+      ${moodleHTMLText(question.explanation ? `<p>${escapeHTML(question.explanation)}</p>` : '')}
+    </generalfeedback>
+    <defaultgrade>${question.marks || 1}</defaultgrade>
+    <penalty>0.3333333</penalty>
+    <hidden>0</hidden>
+    <idnumber>${escapeXML(question.id || '')}</idnumber>`;
+  const feedback = '<feedback format="html"><text></text></feedback>';
+
+  switch (question.type) {
+    case QUESTION_TYPES.MULTIPLE_CHOICE:
+      return `
+  <question type="multichoice">${common}
+    <single>true</single>
+    <shuffleanswers>true</shuffleanswers>
+    <answernumbering>abc</answernumbering>
+    ${(question.options || []).map(option => `
+    <answer fraction="${option === question.correctAnswer ? 100 : 0}" format="html">
+      ${moodleHTMLText(escapeHTML(option))}
+      ${feedback}
+    </answer>`).join('')}
+  </question>`;
+    case QUESTION_TYPES.TRUE_FALSE: {
+      const correct = String(question.correctAnswer).toLowerCase() === 'false' ? 'false' : 'true';
+      return `
+  <question type="truefalse">${common}
+    ${['true', 'false'].map(value => `
+    <answer fraction="${value === correct ? 100 : 0}" format="moodle_auto_format">
+      <text>${value}</text>
+      ${feedback}
+    </answer>`).join('')}
+  </question>`;
+    }
+    case QUESTION_TYPES.SHORT_ANSWER: {
+      // Moodle marks a shortanswer response by exact match, so only a word or
+      // short phrase is exported as one; a model answer is graded by hand as
+      // an essay
+      const key = String(question.correctAnswer || question.answer || '').trim();
+      if (key && key.split(/\s+/).length <= 5 && !/[.,;:!?]/.test(key)) {
+        return `
+  <question type="shortanswer">${common}
+    <usecase>0</usecase>
+    <answer fraction="100" format="moodle_auto_format">
+      <text>${escapeXML(key)}</text>
+      ${feedback}
+    </answer>
+  </question>`;
+      }
+    }
+    // falls through
+    case QUESTION_TYPES.ESSAY: {
+      // Graders see the model answer and, when there is one, the rubric
+      const rubric = question.rubric && Array.isArray(question.rubric.criteria)
+        ? `<ul>${question.rubric.criteria.map(criterion =>
+          `<li><strong>${escapeHTML(criterion.name)} (${criterion.marks})</strong>: ${criterion.levels.map(level =>
+            `${escapeHTML(level.label)} (${level.marks}) - ${escapeHTML(level.descriptor)}`).join('; ')}</li>`).join('')}</ul>`
+        : '';
+      return `
+  <question type="essay">${common}
+    <responseformat>editor</responseformat>
+    <responserequired>1</responserequired>
+    <responsefieldlines>${question.type === QUESTION_TYPES.ESSAY ? 15 : 5}</responsefieldlines>
+    <attachments>0</attachments>
+    <attachmentsrequired>0</attachmentsrequired>
+    <graderinfo format="html">
+      ${moodleHTMLText(`<p>${escapeHTML(question.answer || question.correctAnswer || '')}</p>${rubric}`)}
+    </graderinfo>
+    <responsetemplate format="html"><text></text></responsetemplate>
+  </question>`;
+    }
+    case QUESTION_TYPES.FILL_BLANK:
+      return `
+  <question type="cloze">
+    <name><text>${escapeXML(name)}</text></name>
+    <questiontext format="html">
+      ${moodleHTMLText(`<p>${moodleClozeText(question)}</p>`)}
+    </questiontext>
+    <generalfeedback format="html">
+      ${moodleHTMLText(question.explanation ? `<p>${escapeHTML(question.explanation)}</p>` : '')}
+    </generalfeedback>
+    <penalty>0.3333333</penalty>
+    <hidden>0</hidden>
+    <idnumber>${escapeXML(question.id || '')}</idnumber>
+  </question>`;
+    default:
+      return '';
+  }
+}
+
+// Moodle XML question bank file. Questions are grouped into categories by
+// Bloom level and difficulty under baseCategory, e.g.
+// $course$/top/CS101/Apply/Medium
+function generateMoodleXML(questions, { baseCategory = 'Generated Questions' } = {}) {
+  const levels = Object.keys(BLOOM_LEVELS);
+  const difficulties = ['easy', 'medium', 'hard'];
+  const rank = (list, value) => (list.includes(value) ? list.indexOf(value) : list.length);
+  const ordered = questions
+    .map((question, index) => ({ question, index }))
+    .sort((a, b) => rank(levels, a.question.bloomLevel) - rank(levels, b.question.bloomLevel) ||
+      rank(difficulties, a.question.difficulty) - rank(difficulties, b.question.difficulty) ||
+      a.index - b.index);
+
+  let currentCategory = null;
+  const body = ordered.map(({ question, index }) => {
+    const category = moodleCategory(question, baseCategory);
+    const categoryXML = category === currentCategory ? '' : `
+  <question type="category">
+    <category><text>${escapeXML(category)}</text></category>
+  </question>`;
+    currentCategory = category;
+    return categoryXML + moodleQuestionXML(question, index);
+  }).join('\n');
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<quiz>${body}
+</quiz>
+`;
+}
+
+// IMS QTI packages. Items and tests are built as a small element tree in
+// QTI 2.1 vocabulary; QTI 3.0 output renames QTI elements and attributes to
+// their kebab-case qti- forms (choiceInteraction -> qti-choice-interaction,
+// responseIdentifier -> response-identifier). Manifests use IMS CP names.
+const QTI_VERSIONS = {
+  '2.1': {
+    namespace: 'http://www.imsglobal.org/xsd/imsqti_v2p1',
+    schemaLocation: 'http://www.imsglobal.org/xsd/imsqti_v2p1 http://www.imsglobal.org/xsd/qti/qtiv2p1/imsqti_v2p1p2.xsd',
+    itemType: 'imsqti_item_xmlv2p1',
+    testType: 'imsqti_test_xmlv2p1',
+    manifestNamespace: 'http://www.imsglobal.org/xsd/imscp_v1p1',
+    schema: 'QTIv2.1 Package',
+    schemaVersion: '1.0.0'
+  },
+  '3.0': {
+    namespace: 'http://www.imsglobal.org/xsd/imsqtiasi_v3p0',
+    schemaLocation: 'http://www.imsglobal.org/xsd/imsqtiasi_v3p0 https://purl.imsglobal.org/spec/qti/v3p0/schema/xsd/imsqti_asiv3p0_v1p0.xsd',
+    itemType: 'imsqti_item_xmlv3p0',
+    testType: 'imsqti_test_xmlv3p0',
+    manifestNamespace: 'http://www.imsglobal.org/xsd/qti/qtiv3p0/imscp_v1p1',
+    schema: 'QTI Package',
+    schemaVersion: '3.0.0'
+  }
+};
+
+// Content elements that keep their names in every QTI version
+const QTI_HTML_ELEMENTS = new Set(['p', 'div', 'span', 'br', 'strong', 'em']);
+
+function xmlElement(name, attrs = {}, children = []) {
+  return { name, attrs, children: [].concat(children).filter(child => child !== null && child !== undefined) };
+}
+
+// Serialize an element tree. Elements with text children are written on one
+// line so no whitespace is added to mixed content.
+function serializeQTI(node, version, indent = '') {
+  const kebab = name => name.replace(/([a-z0-9])([A-Z])/g, '$1-$2').toLowerCase();
+  const elementName = version === '3.0' && !QTI_HTML_ELEMENTS.has(node.name) ? `qti-${kebab(node.name)}` : node.name;
+  const attrs = Object.entries(node.attrs)
+    .filter(([, value]) => value !== undefined && value !== null)
+    .map(([name, value]) => `${version === '3.0' && !name.includes(':') && name !== 'xmlns' ? kebab(name) : name}="${escapeXML(value)}"`)
+    .join(' ');
+  const open = `${elementName}${attrs ? ` ${attrs}` : ''}`;
+
+  if (node.children.length === 0) {
+    return `${indent}<${open}/>`;
+  }
+  if (node.children.some(child => typeof child === 'string')) {
+    const inline = node.children.map(child =>
+      (typeof child === 'string' ? escapeXML(child) : serializeQTI(child, version))).join('');
+    return `${indent}<${open}>${inline}</${elementName}>`;
+  }
+  const children = node.children.map(child => serializeQTI(child, version, `${indent}  `)).join('\n');
+  return `${indent}<${open}>\n${children}\n${indent}</${elementName}>`;
+}
+
+function qtiDocument(root, version) {
+  const { namespace, schemaLocation } = QTI_VERSIONS[version];
+  root.attrs = {
+    xmlns: namespace,
+    'xmlns:xsi': 'http://www.w3.org/2001/XMLSchema-instance',
+    'xsi:schemaLocation': schemaLocation,
+    ...root.attrs
+  };
+  return `<?xml version="1.0" encoding="UTF-8"?>\n${serializeQTI(root, version)}\n`;
+}
+
+// SCORE is set to the question's marks when the response matches the correct one
+function qtiMatchCorrectProcessing(marks) {
+  return xmlElement('responseProcessing', {}, [
+    xmlElement('responseCondition', {}, [
+      xmlElement('responseIf', {}, [
+        xmlElement('match', {}, [
+          xmlElement('variable', { identifier: 'RESPONSE' }),
+          xmlElement('correct', { identifier: 'RESPONSE' })
+        ]),
+        xmlElement('setOutcomeValue', { identifier: 'SCORE' }, [xmlElement('baseValue', { baseType: 'float' }, [String(marks)])])
+      ]),
+      xmlElement('responseElse', {}, [
+        xmlElement('setOutcomeValue', { identifier: 'SCORE' }, [xmlElement('baseValue', { baseType: 'float' }, ['0'])])
+      ])
+    ])
+  ]);
+}
+
+// Options of a choice item and the index of its correct one (-1 when the
+// correct answer is not among them)
+function qtiChoices(question) {
+  const options = question.type === QUESTION_TYPES.TRUE_FALSE ? ['True', 'False'] : (question.options || []);
+  const correctIndex = options.findIndex(option => String(option).toLowerCase() === String(question.correctAnswer).toLowerCase());
+  return { options, correctIndex };
+}
+
+// Why a question cannot be scored as a QTI item, or null if it can
+function qtiUnscorableReason(question) {
+  if (question.type !== QUESTION_TYPES.MULTIPLE_CHOICE && question.type !== QUESTION_TYPES.TRUE_FALSE) return null;
+  return qtiChoices(question).correctIndex < 0 ? 'Correct answer is not one of the options' : null;
+}
+
+// One assessmentItem for a generated question. MCQ, true/false and
+// fill-blank items score themselves; short answers and essays are left for
+// manual scoring with their marks as MAXSCORE.
+function qtiItemXML(question, identifier, version) {
+  const marks = question.marks || 1;
+  const outcome = (name, value) => xmlElement('outcomeDeclaration', { identifier: name, cardinality: 'single', baseType: 'float' }, [
+    xmlElement('defaultValue', {}, [xmlElement('value', {}, [String(value)])])
+  ]);
+  const content = String(question.content || '');
+  let declarations = [];
+  let body;
+  let processing = null;
+
+  if (question.type === QUESTION_TYPES.MULTIPLE_CHOICE || question.type === QUESTION_TYPES.TRUE_FALSE) {
+    const { options, correctIndex } = qtiChoices(question);
+    const choiceId = index => `choice_${String.fromCharCode(65 + index)}`;
+    declarations = [
+      xmlElement('responseDeclaration', { identifier: 'RESPONSE', cardinality: 'single', baseType: 'identifier' }, [
+        xmlElement('correctResponse', {}, [xmlElement('value', {}, [choiceId(correctIndex)])])
+      ])
+    ];
+    body = xmlElement('choiceInteraction', {
+      responseIdentifier: 'RESPONSE',
+      shuffle: question.type === QUESTION_TYPES.MULTIPLE_CHOICE ? 'true' : 'false',
+      maxChoices: '1'
+    }, [
+      xmlElement('prompt', {}, [content]),
+      ...options.map((option, index) => xmlElement('simpleChoice', { identifier: choiceId(index) }, [String(option)]))
+    ]);
+    processing = qtiMatchCorrectProcessing(marks);
+  } else if (question.type === QUESTION_TYPES.FILL_BLANK) {
+    // Each blank becomes a text entry; its accepted answers map to an equal
+    // share of the question's marks and SCORE adds the shares up
+    const blanks = fillBlankAnswers(question);
+    const share = String(Math.round((marks / blanks.length) * 100) / 100);
+    const responseId = index => (blanks.length === 1 ? 'RESPONSE' : `RESPONSE_${index + 1}`);
+    declarations = blanks.map((answers, index) =>
+      xmlElement('responseDeclaration', { identifier: responseId(index), cardinality: 'single', baseType: 'string' }, [
+        xmlElement('correctResponse', {}, [xmlElement('value', {}, [answers[0]])]),
+        xmlElement('mapping', { defaultValue: '0', upperBound: share }, answers.map(answer =>
+          xmlElement('mapEntry', { mapKey: answer, mappedValue: share, caseSensitive: 'false' })))
+      ]));
+    const entry = index => xmlElement('textEntryInteraction', {
+      responseIdentifier: responseId(index),
+      expectedLength: String(Math.max(10, ...blanks[index].map(answer => answer.length + 5)))
+    });
+    const pieces = content.split(/_{3,}/);
+    body = xmlElement('p', {}, pieces.length > 1
+      ? pieces.flatMap((piece, index) => (index > 0 && index <= blanks.length ? [entry(index - 1), piece] : [piece]))
+      : [`${content} `, entry(0)]);
+    const mapped = blanks.map((_, index) => xmlElement('mapResponse', { identifier: responseId(index) }));
+    processing = xmlElement('responseProcessing', {}, [
+      xmlElement('setOutcomeValue', { identifier: 'SCORE' }, [mapped.length === 1 ? mapped[0] : xmlElement('sum', {}, mapped)])
+    ]);
+  } else {
+    declarations = [xmlElement('responseDeclaration', { identifier: 'RESPONSE', cardinality: 'single', baseType: 'string' })];
+    body = xmlElement('extendedTextInteraction', {
+      responseIdentifier: 'RESPONSE',
+      expectedLines: question.type === QUESTION_TYPES.ESSAY ? '15' : '4'
+    }, [xmlElement('prompt', {}, [content])]);
+  }
+
+  const title = `${question.number ? `${question.number} ` : ''}${content.replace(/\s+/g, ' ').slice(0, 60)}`;
+  return qtiDocument(xmlElement('assessmentItem', { identifier, title, adaptive: 'false', timeDependent: 'false' }, [
+    ...declarations,
+    outcome('SCORE', 0),
+    outcome('MAXSCORE', marks),
+    xmlElement('itemBody', {}, [body]),
+    processing
+  ]), version);
+}
+
+// Test with one section per part (or one section for a plain question list)
+function qtiTestXML(sections, itemIds, title, version) {
+  let itemIndex = 0;
+  return qtiDocument(xmlElement('assessmentTest', { identifier: 'test', title }, [
+    xmlElement('outcomeDeclaration', { identifier: 'SCORE', cardinality: 'single', baseType: 'float' }),
+    xmlElement('testPart', { identifier: 'test-part', navigationMode: 'nonlinear', submissionMode: 'simultaneous' },
+      sections.map((section, sectionIndex) => xmlElement('assessmentSection', {
+        identifier: `section-${sectionIndex + 1}`,
+        title: section.title,
+        visible: 'true'
+      }, section.questions.map(() => {
+        const identifier = itemIds[itemIndex++];
+        return xmlElement('assessmentItemRef', { identifier, href: `items/${identifier}.xml` });
+      })))),
+    xmlElement('outcomeProcessing', {}, [
+      xmlElement('setOutcomeValue', { identifier: 'SCORE' }, [
+        xmlElement('sum', {}, [xmlElement('testVariables', { variableIdentifier: 'SCORE' })])
+      ])
+    ])
+  ]), version);
+}
+
+// LOM metadata for an item: Bloom level as a classification, difficulty and marks
+function qtiItemMetadata(question) {
+  const level = BLOOM_LEVELS[question.bloomLevel];
+  const lomDifficulty = { easy: 'easy', medium: 'medium', hard: 'difficult' }[question.difficulty];
+  return `
+      <metadata>
+        <imsmd:lom>
+          <imsmd:general>
+            <imsmd:identifier><imsmd:catalog>question-id</imsmd:catalog><imsmd:entry>${escapeXML(question.id || '')}</imsmd:entry></imsmd:identifier>
+            <imsmd:keyword><imsmd:string>${escapeXML(question.type)}</imsmd:string></imsmd:keyword>
+            <imsmd:keyword><imsmd:string>marks:${escapeXML(question.marks || 1)}</imsmd:string></imsmd:keyword>
+          </imsmd:general>${lomDifficulty ? `
+          <imsmd:educational>
+            <imsmd:difficulty><imsmd:source>LOMv1.0</imsmd:source><imsmd:value>${lomDifficulty}</imsmd:value></imsmd:difficulty>
+          </imsmd:educational>` : ''}${level ? `
+          <imsmd:classification>
+            <imsmd:purpose><imsmd:source>LOMv1.0</imsmd:source><imsmd:value>educational objective</imsmd:value></imsmd:purpose>
+            <imsmd:taxonPath>
+              <imsmd:source><imsmd:string>Bloom's Taxonomy (Revised)</imsmd:string></imsmd:source>
+              <imsmd:taxon><imsmd:id>${escapeXML(question.bloomLevel)}</imsmd:id><imsmd:entry><imsmd:string>${escapeXML(level.name)}</imsmd:string></imsmd:entry></imsmd:taxon>
+            </imsmd:taxonPath>
+          </imsmd:classification>` : ''}
+        </imsmd:lom>
+      </metadata>`;
+}
+
+// Zipped IMS content package: imsmanifest.xml, assessment.xml and one item
+// file per question under items/. Questions that could not be scored are
+// left out and returned as `skipped`.
+async function generateQTIPackage(allSections, { version = '2.1', title = 'Generated Questions' } = {}) {
+  const settings = QTI_VERSIONS[version];
+  const zip = new JSZip();
+  const skipped = [];
+  const sections = allSections.map(section => ({
+    ...section,
+    questions: section.questions.filter(question => {
+      const reason = qtiUnscorableReason(question);
+      if (reason) skipped.push({ id: question.id, number: question.number, reason });
+      return !reason;
+    })
+  }));
+  const questions = sections.flatMap(section => section.questions);
+  const itemIds = questions.map((question, index) => `item-${index + 1}`);
+
+  questions.forEach((question, index) => {
+    zip.file(`items/${itemIds[index]}.xml`, qtiItemXML(question, itemIds[index], version));
+  });
+  zip.file('assessment.xml', qtiTestXML(sections, itemIds, title, version));
+
+  const manifest = `<?xml version="1.0" encoding="UTF-8"?>
+<manifest xmlns="${settings.manifestNamespace}" xmlns:imsmd="http://ltsc.ieee.org/xsd/LOM" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance" identifier="MANIFEST-${uuidv4()}">
+  <metadata>
+    <schema>${settings.schema}</schema>
+    <schemaversion>${settings.schemaVersion}</schemaversion>
+  </metadata>
+  <organizations/>
+  <resources>
+    <resource identifier="test" type="${settings.testType}" href="assessment.xml">
+      <file href="assessment.xml"/>
+${itemIds.map(identifier => `      <dependency identifierref="${identifier}"/>`).join('\n')}
+    </resource>
+${questions.map((question, index) => `    <resource identifier="${itemIds[index]}" type="${settings.itemType}" href="items/${itemIds[index]}.xml">${qtiItemMetadata(question)}
+      <file href="items/${itemIds[index]}.xml"/>
+    </resource>`).join('\n')}
+  </resources>
+</manifest>
+`;
+  zip.file('imsmanifest.xml', manifest);
+
+  const buffer = await zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' });
+  return { buffer, skipped };
+}
+
+// Editable Word version of generateExamPaperHTML: the same header, parts,
+// questions and summary, laid out with Word styles and tables. Widths are in
+// twentieths of a point (A4 with 20mm margins leaves 9638).
+const DOCX_TEXT_WIDTH = 9638;
+
+function docxParagraph(text, options = {}) {
+  const { bold, italics, ...paragraph } = options;
+  return new Paragraph({ ...paragraph, children: [new TextRun({ text: String(text == null ? '' : text), bold, italics })] });
+}
+
+function docxCell(content, { width, bold, alignment, shading, columnSpan } = {}) {
+  const paragraphs = [].concat(content).map(item => (item instanceof Paragraph ? item : docxParagraph(item, { bold, alignment })));
+  return new TableCell({
+    children: paragraphs,
+    width: width ? { size: width, type: WidthType.DXA } : undefined,
+    shading: shading ? { fill: shading, type: ShadingType.CLEAR, color: 'auto' } : undefined,
+    columnSpan
+  });
+}
+
+// Bordered table with a shaded header row, as .summary-table in the HTML
+function docxSummaryTable(headings, rows, columnWidths) {
+  const border = { style: BorderStyle.SINGLE, size: 4, color: 'CCCCCC' };
+  const center = AlignmentType.CENTER;
+  return new Table({
+    width: { size: DOCX_TEXT_WIDTH, type: WidthType.DXA },
+    columnWidths,
+    borders: { top: border, bottom: border, left: border, right: border, insideHorizontal: border, insideVertical: border },
+    rows: [
+      new TableRow({
+        tableHeader: true,
+        children: headings.map((heading, i) => docxCell(heading, { width: columnWidths[i], bold: true, alignment: center, shading: 'F5F5F5' }))
+      }),
+      ...rows.map(row => new TableRow({
+        children: row.map((cell, i) => docxCell(cell.text !== undefined ? cell.text : cell, {
+          width: columnWidths[i],
+          alignment: cell.alignment || center,
+          bold: cell.bold
+        }))
+      }))
+    ]
+  });
+}
+
+async function generateExamPaperDocx(examPaper) {
+  const header = examPaper.header;
+  const marksSummary = examPaper.marksSummary;
+  const hasChoice = Boolean(marksSummary && marksSummary.printedMarks !== marksSummary.attemptableMarks);
+  const numberWidth = 900;
+  const marksWidth = 1400;
+  const questionWidth = DOCX_TEXT_WIDTH - numberWidth - marksWidth;
+
+  const headerBlock = [
+    docxParagraph(header.institutionName, { style: 'InstitutionName' }),
+    ...[header.courseName, header.courseCode, header.examSession, header.setLabel ? `Set ${header.setLabel}` : null]
+      .filter(Boolean)
+      .map(line => docxParagraph(line, { style: 'CourseDetails' })),
+    new Paragraph({ border: { bottom: { style: BorderStyle.SINGLE, size: 12, color: '333333', space: 1 } }, spacing: { after: 240 } }),
+    new Table({
+      width: { size: DOCX_TEXT_WIDTH, type: WidthType.DXA },
+      columnWidths: [3213, 3212, 3213],
+      borders: TableBorders.NONE,
+      rows: [new TableRow({
+        children: [
+          docxCell(`Duration: ${header.duration}`, { width: 3213, alignment: AlignmentType.LEFT }),
+          docxCell(`Date: ${header.date}`, { width: 3212, alignment: AlignmentType.CENTER }),
+          docxCell(`Max Marks: ${header.maxMarks}`, { width: 3213, alignment: AlignmentType.RIGHT })
+        ]
+      })]
+    })
+  ];
+
+  // One borderless table per part: number, question with its options, marks
+  const partBlocks = examPaper.parts.flatMap((part, partIndex) => {
+    const rows = part.questions.flatMap((question, questionIndex) => {
+      const questionRow = new TableRow({
+        cantSplit: true,
+        children: [
+          docxCell(question.number || `${partIndex + 1}.${questionIndex + 1}`, { width: numberWidth, bold: true }),
+          docxCell([
+            docxParagraph(question.content, { style: 'QuestionText' }),
+            ...(question.options || []).map((option, optionIndex) =>
+              docxParagraph(`${String.fromCharCode(65 + optionIndex)}. ${option}`, { style: 'QuestionOption' }))
+          ], { width: questionWidth }),
+          docxCell(`[${question.marks} marks]`, { width: marksWidth, bold: true, alignment: AlignmentType.RIGHT })
+        ]
+      });
+      const orRow = question.choiceLabel === 'a'
+        ? [new TableRow({ children: [docxCell('OR', { columnSpan: 3, bold: true, alignment: AlignmentType.CENTER })] })]
+        : [];
+      return [questionRow, ...orRow];
+    });
+
+    return [
+      docxParagraph(`${part.name} ${part.description || ''}`.trim(), { style: 'SectionTitle' }),
+      ...(part.instructions ? [docxParagraph(part.instructions, { style: 'PartInstructions' })] : []),
+      ...(rows.length > 0 ? [new Table({
+        width: { size: DOCX_TEXT_WIDTH, type: WidthType.DXA },
+        columnWidths: [numberWidth, questionWidth, marksWidth],
+        borders: TableBorders.NONE,
+        rows
+      })] : [])
+    ];
+  });
+
+  const summaryRows = Object.entries(examPaper.summary || {}).map(([level, data]) => [
+    BLOOM_LEVELS[level] ? BLOOM_LEVELS[level].name : level,
+    data.code,
+    String(data.count),
+    String(data.marks),
+    ...(hasChoice ? [String(data.attemptableMarks)] : [])
+  ]);
+  if (hasChoice) {
+    summaryRows.push([
+      { text: 'Total', bold: true }, '', '',
+      { text: String(marksSummary.printedMarks), bold: true },
+      { text: String(marksSummary.attemptableMarks), bold: true }
+    ]);
+  }
+  const summaryBlock = [
+    docxParagraph('Summary Table', { style: 'SectionTitle', pageBreakBefore: true }),
+    docxSummaryTable(
+      ["Bloom's Taxonomy Level", 'Course Outcome', 'Number of Questions', hasChoice ? 'Printed Marks' : 'Total Marks', ...(hasChoice ? ['Attemptable Marks'] : [])],
+      summaryRows,
+      hasChoice ? [2638, 1750, 1750, 1750, 1750] : [3038, 2200, 2200, 2200]
+    )
+  ];
+  if (examPaper.unitSummary) {
+    const { headings, rows } = unitSummaryRows(examPaper.unitSummary, hasChoice);
+    summaryBlock.push(
+      docxParagraph('Unit-wise Marks', { style: 'SectionTitle' }),
+      docxSummaryTable(headings,
+        rows.map(([unit, ...cells]) => [{ text: unit, alignment: AlignmentType.LEFT }, ...cells]),
+        hasChoice ? [2638, 1400, 1400, 1400, 1400, 1400] : [3038, 1650, 1650, 1650, 1650])
+    );
+  }
+  if (examPaper.coMatrix) {
+    const { headings, rows } = courseOutcomeMatrixRows(examPaper.coMatrix);
+    const lastRow = rows.length - 1;
+    summaryBlock.push(
+      docxParagraph('Course Outcome Mapping (Marks)', { style: 'SectionTitle' }),
+      docxSummaryTable(headings,
+        rows.map((row, index) => (index === lastRow ? row.map(cell => ({ text: cell, bold: true })) : row)),
+        [1100, ...examPaper.coMatrix.levels.map(() => 1000), 1000, 1538]),
+      ...examPaper.coMatrix.rows.map(row => new Paragraph({
+        children: [new TextRun({ text: `${row.code}: `, bold: true }), new TextRun(row.statement)]
+      }))
+    );
+  }
+
+  const slideBlock = examPaper.slideReferences && examPaper.slideReferences.length > 0 ? [
+    docxParagraph('Slide References', { style: 'SectionTitle' }),
+    docxSummaryTable(['Question', 'Presentation', 'Slide'],
+      examPaper.slideReferences.map(reference => [String(reference.questionNumber), reference.fileName, String(reference.slide)]),
+      [2000, 5638, 2000])
+  ] : [];
+
+  const appendixBlock = examPaper.sourceAppendix && examPaper.sourceAppendix.length > 0 ? [
+    docxParagraph('Reviewer Appendix: Question Sources (not for candidates)', { style: 'SectionTitle', pageBreakBefore: true }),
+    docxSummaryTable(['Question', 'Document', 'Page / Slide', 'Supporting Excerpt'],
+      examPaper.sourceAppendix.map(reference => [
+        String(reference.questionNumber),
+        reference.fileName,
+        reference.slide ? `Slide ${reference.slide}` : reference.page ? `Page ${reference.page}` : '-',
+        { text: `${reference.excerpt || ''}${reference.matchedBy === 'similarity' ? ' (matched by similarity)' : ''}`, alignment: AlignmentType.LEFT }
+      ]),
+      [1200, 2400, 1400, 4638])
+  ] : [];
+
+  const doc = new Document({
+    title: `${header.institutionName} - Exam Paper`,
+    styles: {
+      default: { document: { run: { font: 'Times New Roman', size: 24, color: '333333' } } },
+      paragraphStyles: [
+        { id: 'InstitutionName', name: 'Institution Name', basedOn: 'Normal', next: 'Normal', run: { bold: true, size: 28 }, paragraph: { alignment: AlignmentType.CENTER, spacing: { after: 120 } } },
+        { id: 'CourseDetails', name: 'Course Details', basedOn: 'Normal', next: 'Normal', run: { size: 22 }, paragraph: { alignment: AlignmentType.CENTER, spacing: { after: 60 } } },
+        {
+          id: 'SectionTitle',
+          name: 'Section Title',
+          basedOn: 'Normal',
+          next: 'Normal',
+          run: { bold: true, size: 26 },
+          paragraph: {
+            spacing: { before: 360, after: 200 },
+            keepNext: true,
+            border: { bottom: { style: BorderStyle.SINGLE, size: 4, color: 'CCCCCC', space: 4 } }
+          }
+        },
+        { id: 'PartInstructions', name: 'Part Instructions', basedOn: 'Normal', next: 'Normal', run: { italics: true }, paragraph: { spacing: { after: 200 } } },
+        { id: 'QuestionText', name: 'Question Text', basedOn: 'Normal', next: 'Normal', paragraph: { spacing: { after: 100 } } },
+        { id: 'QuestionOption', name: 'Question Option', basedOn: 'Normal', next: 'Normal', paragraph: { indent: { left: 360 }, spacing: { after: 60 } } }
+      ]
+    },
+    sections: [{
+      properties: {
+        page: {
+          size: { width: 11906, height: 16838 },
+          margin: { top: 1134, right: 1134, bottom: 1134, left: 1134 }
+        }
+      },
+      children: [...headerBlock, ...partBlocks, ...summaryBlock, ...slideBlock, ...appendixBlock]
+    }]
+  });
+
+  return Packer.toBuffer(doc);
+}
+
+function escapeRegExp(text) {
+  return String(text).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// LaTeX export for the 'exam' document class. Text from uploaded documents
+// is escaped in one pass; characters pdflatex cannot typeset directly
+// (ligatures and symbols common in PDF text) are mapped to LaTeX commands.
+const LATEX_REPLACEMENTS = {
+  '\\': '\\textbackslash{}',
+  '{': '\\{',
+  '}': '\\}',
+  '$': '\\$',
+  '&': '\\&',
+  '#': '\\#',
+  '%': '\\%',
+  '_': '\\_',
+  '~': '\\textasciitilde{}',
+  '^': '\\textasciicircum{}',
+  '<': '\\textless{}',
+  '>': '\\textgreater{}',
+  '|': '\\textbar{}',
+  '\u00a0': '~',
+  'ﬁ': 'fi',
+  'ﬂ': 'fl',
+  'ﬀ': 'ff',
+  'ﬃ': 'ffi',
+  'ﬄ': 'ffl',
+  '•': '\\textbullet{}',
+  '…': '\\ldots{}',
+  '°': '\\ensuremath{^\\circ}',
+  // Maths symbols and Greek letters, which pdflatex only has in maths mode
+  '−': '\\ensuremath{-}',
+  '±': '\\ensuremath{\\pm}',
+  '×': '\\ensuremath{\\times}',
+  '÷': '\\ensuremath{\\div}',
+  '·': '\\ensuremath{\\cdot}',
+  '≈': '\\ensuremath{\\approx}',
+  '≡': '\\ensuremath{\\equiv}',
+  '≤': '\\ensuremath{\\leq}',
+  '≥': '\\ensuremath{\\geq}',
+  '≠': '\\ensuremath{\\neq}',
+  '∞': '\\ensuremath{\\infty}',
+  '√': '\\ensuremath{\\surd}',
+  '∫': '\\ensuremath{\\int}',
+  '∑': '\\ensuremath{\\sum}',
+  '∏': '\\ensuremath{\\prod}',
+  '∂': '\\ensuremath{\\partial}',
+  '∇': '\\ensuremath{\\nabla}',
+  '∈': '\\ensuremath{\\in}',
+  '∀': '\\ensuremath{\\forall}',
+  '∃': '\\ensuremath{\\exists}',
+  '∅': '\\ensuremath{\\emptyset}',
+  '→': '\\ensuremath{\\rightarrow}',
+  '←': '\\ensuremath{\\leftarrow}',
+  '↔': '\\ensuremath{\\leftrightarrow}',
+  '⇒': '\\ensuremath{\\Rightarrow}',
+  '⇔': '\\ensuremath{\\Leftrightarrow}',
+  'α': '\\ensuremath{\\alpha}',
+  'β': '\\ensuremath{\\beta}',
+  'γ': '\\ensuremath{\\gamma}',
+  'δ': '\\ensuremath{\\delta}',
+  'ε': '\\ensuremath{\\epsilon}',
+  'θ': '\\ensuremath{\\theta}',
+  'λ': '\\ensuremath{\\lambda}',
+  'µ': '\\ensuremath{\\mu}',
+  'μ': '\\ensuremath{\\mu}',
+  'π': '\\ensuremath{\\pi}',
+  'ρ': '\\ensuremath{\\rho}',
+  'σ': '\\ensuremath{\\sigma}',
+  'τ': '\\ensuremath{\\tau}',
+  'φ': '\\ensuremath{\\phi}',
+  'ω': '\\ensuremath{\\omega}',
+  'Γ': '\\ensuremath{\\Gamma}',
+  'Δ': '\\ensuremath{\\Delta}',
+  'Θ': '\\ensuremath{\\Theta}',
+  'Λ': '\\ensuremath{\\Lambda}',
+  'Π': '\\ensuremath{\\Pi}',
+  'Σ': '\\ensuremath{\\Sigma}',
+  'Φ': '\\ensuremath{\\Phi}',
+  'Ω': '\\ensuremath{\\Omega}'
+};
+const LATEX_SPECIAL_CHARS = new RegExp(`[${Object.keys(LATEX_REPLACEMENTS).map(escapeRegExp).join('')}]`, 'g');
+
+function escapeLaTeX(text) {
+  return String(text == null ? '' : text)
+    // Control and zero-width characters that survive PDF extraction
+    .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f\u200b-\u200d\ufeff]/g, '')
+    .replace(LATEX_SPECIAL_CHARS, char => LATEX_REPLACEMENTS[char])
+    .replace(/\s*\n\s*/g, ' ');
+}
+
+function latexTable(headings, rows, columnSpec) {
+  return [
+    `\\begin{tabular}{${columnSpec}}`,
+    '\\toprule',
+    `${headings.map(heading => `\\textbf{${escapeLaTeX(heading)}}`).join(' & ')} \\\\`,
+    '\\midrule',
+    ...rows.map(row => `${row.map(cell => escapeLaTeX(cell)).join(' & ')} \\\\`),
+    '\\bottomrule',
+    '\\end{tabular}'
+  ].join('\n');
+}
+
+// Answer shown in the solution environment: model answer and, for rubric
+// questions, the rubric's criteria
+function latexSolution(question) {
+  const lines = [`\\begin{solution}`, escapeLaTeX(question.answer || question.correctAnswer || '')];
+  if (question.rubric && Array.isArray(question.rubric.criteria)) {
+    lines.push('\\begin{itemize}');
+    question.rubric.criteria.forEach(criterion => {
+      lines.push(`  \\item \\textbf{${escapeLaTeX(criterion.name)} (${criterion.marks})}: ${criterion.levels
+        .map(level => `${escapeLaTeX(level.label)} (${level.marks}) -- ${escapeLaTeX(level.descriptor)}`).join('; ')}`);
+    });
+    lines.push('\\end{itemize}');
+  }
+  lines.push('\\end{solution}');
+  return lines.join('\n');
+}
+
+function latexQuestion(question, command, marks) {
+  const content = String(question.content || '');
+  if (question.type === QUESTION_TYPES.FILL_BLANK) {
+    // \fillin prints a blank, or the blank's answer when answers are shown
+    const blanks = fillBlankAnswers(question);
+    const fillin = index => `\\fillin[${escapeLaTeX((blanks[index] || blanks[0])[0])}]`;
+    const pieces = content.split(/_{3,}/);
+    const text = pieces.length > 1
+      ? pieces.map((piece, index) => (index > 0 ? fillin(index - 1) : '') + escapeLaTeX(piece)).join('')
+      : `${escapeLaTeX(content)} ${fillin(0)}`;
+    return `${command}[${marks}] ${text}`;
+  }
+
+  const lines = [`${command}[${marks}] ${escapeLaTeX(content)}`];
+  if (question.type === QUESTION_TYPES.MULTIPLE_CHOICE || question.type === QUESTION_TYPES.TRUE_FALSE) {
+    const options = question.type === QUESTION_TYPES.TRUE_FALSE ? ['True', 'False'] : (question.options || []);
+    const environment = question.type === QUESTION_TYPES.TRUE_FALSE ? 'oneparchoices' : 'choices';
+    lines.push(`\\begin{${environment}}`);
+    options.forEach(option => {
+      const correct = String(option).toLowerCase() === String(question.correctAnswer).toLowerCase();
+      lines.push(`  ${correct ? '\\CorrectChoice' : '\\choice'} ${escapeLaTeX(option)}`);
+    });
+    lines.push(`\\end{${environment}}`);
+  } else {
+    lines.push(latexSolution(question));
+  }
+  return lines.join('\n');
+}
+
+// One part as a section with its own questions environment; either/or
+// alternatives become (a) and (b) parts of a single question
+function latexPart(part) {
+  const lines = [
+    '\\stepcounter{paperpart}',
+    '\\setcounter{question}{0}',
+    `\\section*{${escapeLaTeX(`${part.name} ${part.description || ''}`.trim())}}`
+  ];
+  if (part.instructions) {
+    lines.push(`\\textit{${escapeLaTeX(part.instructions)}}`);
+  }
+  lines.push('', '\\begin{questions}');
+
+  const questions = part.questions || [];
+  questions.forEach((question, index) => {
+    if (question.choiceLabel === 'b') return;
+    const alternative = question.choiceLabel === 'a' ? questions[index + 1] : null;
+    if (alternative && alternative.choiceLabel === 'b') {
+      lines.push('\\question Answer either (a) or (b).', '\\begin{parts}',
+        latexQuestion(question, '\\part', question.marks),
+        '\\begin{center}\\textbf{OR}\\end{center}',
+        latexQuestion(alternative, '\\part', alternative.marks),
+        '\\end{parts}', '');
+    } else {
+      lines.push(latexQuestion(question, '\\question', question.marks), '');
+    }
+  });
+
+  lines.push('\\end{questions}', '');
+  return lines.join('\n');
+}
+
+// Zipped LaTeX project: main.tex with the header and summary, and one file
+// per part under parts/. \printanswers switches the solutions on.
+async function generateExamPaperLaTeX(examPaper, { includeSolutions = false } = {}) {
+  const header = examPaper.header;
+  const marksSummary = examPaper.marksSummary;
+  const hasChoice = Boolean(marksSummary && marksSummary.printedMarks !== marksSummary.attemptableMarks);
+  const zip = new JSZip();
+
+  const partFiles = examPaper.parts.map((part, index) => {
+    const fileName = `parts/part-${index + 1}`;
+    zip.file(`${fileName}.tex`, `% ${part.name}\n${latexPart(part)}`);
+    return fileName;
+  });
+
+  const summaryRows = Object.entries(examPaper.summary || {}).map(([level, data]) => [
+    BLOOM_LEVELS[level] ? BLOOM_LEVELS[level].name : level,
+    data.code,
+    data.count,
+    data.marks,
+    ...(hasChoice ? [data.attemptableMarks] : [])
+  ]);
+  if (hasChoice) {
+    summaryRows.push(['Total', '', '', marksSummary.printedMarks, marksSummary.attemptableMarks]);
+  }
+
+  const appendices = [];
+  if (examPaper.slideReferences && examPaper.slideReferences.length > 0) {
+    appendices.push('\\section*{Slide References}', latexTable(['Question', 'Presentation', 'Slide'],
+      examPaper.slideReferences.map(reference => [reference.questionNumber, reference.fileName, reference.slide]), 'llc'), '');
+  }
+  if (examPaper.sourceAppendix && examPaper.sourceAppendix.length > 0) {
+    appendices.push('\\newpage', '\\section*{Reviewer Appendix: Question Sources (not for candidates)}', latexTable(
+      ['Question', 'Document', 'Page / Slide', 'Supporting Excerpt'],
+      examPaper.sourceAppendix.map(reference => [
+        reference.questionNumber,
+        reference.fileName,
+        reference.slide ? `Slide ${reference.slide}` : reference.page ? `Page ${reference.page}` : '-',
+        `${reference.excerpt || ''}${reference.matchedBy === 'similarity' ? ' (matched by similarity)' : ''}`
+      ]), 'p{1.5cm}p{3cm}p{2cm}p{7.5cm}'), '');
+  }
+
+  const main = `\\documentclass[11pt,a4paper]{exam}
+\\usepackage[T1]{fontenc}
+\\usepackage[utf8]{inputenc}
+\\usepackage{lmodern}
+\\usepackage{textcomp}
+\\usepackage[margin=20mm]{geometry}
+\\usepackage{booktabs}
+
+% Show answers: keep \\printanswers to print the solutions and the correct
+% choices; comment it out for the candidates' paper
+${includeSolutions ? '' : '% '}\\printanswers
+
+\\pointpoints{mark}{marks}
+\\bracketedpoints
+\\pointsinrightmargin
+\\CorrectChoiceEmphasis{\\bfseries}
+\\renewcommand{\\solutiontitle}{\\noindent\\textbf{Answer:}\\enspace}
+
+% Questions are numbered within each part: 1.1, 1.2, 2.1, ...
+\\newcounter{paperpart}
+\\renewcommand{\\questionlabel}{\\thepaperpart.\\thequestion}
+
+\\begin{document}
+
+\\begin{center}
+  {\\Large\\bfseries ${escapeLaTeX(header.institutionName)}}\\\\[6pt]
+${[header.courseName, header.courseCode, header.examSession, header.setLabel ? `Set ${header.setLabel}` : null]
+    .filter(Boolean).map(line => `  ${escapeLaTeX(line)}\\\\`).join('\n')}
+\\end{center}
+
+\\noindent Duration: ${escapeLaTeX(header.duration)} \\hfill Date: ${escapeLaTeX(header.date)} \\hfill Max Marks: ${escapeLaTeX(header.maxMarks)}
+\\par\\noindent\\rule{\\textwidth}{1pt}
+
+${partFiles.map(fileName => `\\input{${fileName}}`).join('\n')}
+
+\\newpage
+\\section*{Summary Table}
+${latexTable(
+    ["Bloom's Taxonomy Level", 'Course Outcome', 'Number of Questions', hasChoice ? 'Printed Marks' : 'Total Marks', ...(hasChoice ? ['Attemptable Marks'] : [])],
+    summaryRows,
+    hasChoice ? 'lcccc' : 'lccc'
+  )}
+${examPaper.unitSummary ? (() => {
+    const { headings, rows } = unitSummaryRows(examPaper.unitSummary, hasChoice);
+    return `
+\\subsection*{Unit-wise Marks}
+${latexTable(headings, rows, `p{5cm}${'c'.repeat(headings.length - 1)}`)}
+`;
+  })() : ''}${examPaper.coMatrix ? (() => {
+    const { headings, rows } = courseOutcomeMatrixRows(examPaper.coMatrix);
+    return `
+\\subsection*{Course Outcome Mapping (Marks)}
+{\\small
+${latexTable(headings, rows, `l${'c'.repeat(examPaper.coMatrix.levels.length + 1)}p{2.5cm}`)}
+}
+
+\\begin{description}
+${examPaper.coMatrix.rows.map(row => `  \\item[${escapeLaTeX(row.code)}] ${escapeLaTeX(row.statement)}`).join('\n')}
+\\end{description}
+`;
+  })() : ''}
+${appendices.join('\n')}
+\\end{document}
+`;
+  zip.file('main.tex', main);
+
+  return zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' });
+}
+
 // Test PDF generation route
 app.get('/api/test-pdf', async (req, res) => {
   try {
@@ -1804,6 +7430,36 @@ io.on('connection', (socket) => {
 });
 
 const PORT = process.env.PORT || 3000;
-server.listen(PORT, () => {
-  console.log(`AI Question Generator server running on port ${PORT}`);
-});
+
+// Listen only when run directly (`npm start`); the tests require this file
+if (require.main === module) {
+  // Periodically end expired sessions and remove their files
+  setInterval(() => {
+    sweepExpiredSessions().catch(error => console.error('Session sweep error:', error));
+  }, SESSION_SWEEP_INTERVAL_MS);
+
+  server.listen(PORT, () => {
+    console.log(`AI Question Generator server running on port ${PORT}`);
+    console.log(`Sessions: ${sessionStore.name} store, expire after ${Math.round(SESSION_TTL_MS / 60000)} minutes`);
+    // Clean up whatever expired while the server was down
+    sweepExpiredSessions().catch(error => console.error('Session sweep error:', error));
+  });
+}
+
+module.exports = {
+  app,
+  createSession,
+  AIQuestionGenerator,
+  apportion,
+  parseBloomDistribution,
+  solveMarksBudget,
+  validateBlueprint,
+  createSeededRandom,
+  shuffleWithRandom,
+  parseSyllabus,
+  questionShingles,
+  shingleSimilarity,
+  fillBlankAnswers,
+  moodleClozeText,
+  moodleQuestionXML
+};
@@ -0,0 +1,418 @@
+// Unit tests for the helpers and routes of server.js. Requiring it sets up
+// the app without listening, with sessions kept in memory and no AI
+// provider; its start-up logging is silenced here.
+const fs = require('fs');
+const path = require('path');
+const { Document, Packer, Paragraph } = require('docx');
+process.env.SESSION_STORE = 'memory';
+delete process.env.GEMINI_API_KEY;
+delete process.env.OPENAI_API_KEY;
+delete process.env.OPENAI_BASE_URL;
+const silenced = ['log', 'warn'].map(method => jest.spyOn(console, method).mockImplementation(() => {}));
+const {
+  app,
+  createSession,
+  AIQuestionGenerator,
+  apportion,
+  parseBloomDistribution,
+  solveMarksBudget,
+  validateBlueprint,
+  createSeededRandom,
+  parseSyllabus,
+  questionShingles,
+  shingleSimilarity,
+  fillBlankAnswers,
+  moodleClozeText,
+  moodleQuestionXML
+} = require('./server');
+silenced.forEach(spy => spy.mockRestore());
+
+describe('apportion', () => {
+  test('splits a total in proportion to the weights, largest remainders first', () => {
+    expect(apportion(10, [1, 1, 1])).toEqual([4, 3, 3]);
+    expect(apportion(7, [3, 2, 2])).toEqual([3, 2, 2]);
+  });
+
+  test('always adds up to the total', () => {
+    const counts = apportion(23, [5, 3, 9, 1, 4]);
+    expect(counts.reduce((sum, count) => sum + count, 0)).toBe(23);
+  });
+
+  test('gives nothing for an empty total or zero weights', () => {
+    expect(apportion(0, [1, 2])).toEqual([0, 0]);
+    expect(apportion(5, [0, 0])).toEqual([0, 0]);
+  });
+});
+
+describe('parseBloomDistribution', () => {
+  test('reads presets, percentage maps and count maps', () => {
+    expect(parseBloomDistribution('foundational').percentages).toEqual({ REMEMBER: 40, UNDERSTAND: 30, APPLY: 20, ANALYZE: 10, EVALUATE: 0, CREATE: 0 });
+    expect(parseBloomDistribution({ percentages: { remember: 60, apply: 40 } })).toEqual({ percentages: { REMEMBER: 60, APPLY: 40 } });
+    expect(parseBloomDistribution({ understand: 50, analyze: 50 })).toEqual({ percentages: { UNDERSTAND: 50, ANALYZE: 50 } });
+    expect(parseBloomDistribution({ counts: { REMEMBER: 3, CREATE: 1 } })).toEqual({ counts: { REMEMBER: 3, CREATE: 1 } });
+  });
+
+  test('rejects distributions it cannot use', () => {
+    expect(() => parseBloomDistribution('easy')).toThrow("Unknown Bloom distribution 'easy'");
+    expect(() => parseBloomDistribution([20, 80])).toThrow('Bloom distribution must be a preset name or an object');
+    expect(() => parseBloomDistribution({ RECALL: 100 })).toThrow("Unknown Bloom level 'RECALL' in distribution");
+    expect(() => parseBloomDistribution({ counts: { APPLY: 1.5 } })).toThrow('Bloom distribution value for APPLY must be a non-negative whole number');
+    expect(() => parseBloomDistribution({ REMEMBER: -10, APPLY: 110 })).toThrow('must be a non-negative number');
+    expect(() => parseBloomDistribution({ counts: { APPLY: 0 } })).toThrow('Bloom distribution must request at least one question');
+    expect(() => parseBloomDistribution({ REMEMBER: 50, APPLY: 40 })).toThrow('Bloom distribution percentages must add up to 100 (got 90)');
+  });
+});
+
+describe('calculateBloomDistribution', () => {
+  const generator = new AIQuestionGenerator();
+
+  test('apportions a custom percentage map to exactly the total', () => {
+    const counts = generator.calculateBloomDistribution({ REMEMBER: 33.4, UNDERSTAND: 33.3, APPLY: 33.3 }, 10);
+    expect(counts).toEqual({ REMEMBER: 4, UNDERSTAND: 3, APPLY: 3, ANALYZE: 0, EVALUATE: 0, CREATE: 0 });
+    [7, 11, 13].forEach(total => {
+      const levels = generator.calculateBloomDistribution({ REMEMBER: 15, UNDERSTAND: 15, APPLY: 15, ANALYZE: 15, EVALUATE: 20, CREATE: 20 }, total);
+      expect(Object.values(levels).reduce((sum, count) => sum + count, 0)).toBe(total);
+    });
+  });
+
+  test('uses a count map as given, whatever the total', () => {
+    expect(generator.calculateBloomDistribution({ counts: { APPLY: 2, CREATE: 1 } }, 10))
+      .toEqual({ REMEMBER: 0, UNDERSTAND: 0, APPLY: 2, ANALYZE: 0, EVALUATE: 0, CREATE: 1 });
+  });
+});
+
+describe('solveMarksBudget', () => {
+  test('shares the total in proportion to the weights', () => {
+    expect(solveMarksBudget([1, 1, 2], 8)).toEqual({ feasible: true, marks: [2, 2, 4] });
+  });
+
+  test('gives every question at least one step', () => {
+    expect(solveMarksBudget([1, 1, 20], 12)).toEqual({ feasible: true, marks: [1, 1, 10] });
+  });
+
+  test('uses half marks when asked', () => {
+    const { feasible, marks } = solveMarksBudget([1, 2, 3], 7.5, { step: 0.5 });
+    expect(feasible).toBe(true);
+    expect(marks).toEqual([1.5, 2.5, 3.5]);
+  });
+
+  test('explains why a budget cannot be met', () => {
+    expect(solveMarksBudget([1, 1, 1], 2)).toEqual({ feasible: false, reason: expect.stringContaining('3 questions need at least 3 marks') });
+    expect(solveMarksBudget([1, 1], 2.5).reason).toBe('2.5 marks cannot be split into whole marks');
+    expect(solveMarksBudget([1], 5, { step: 0.25 }).reason).toMatch(/whole \(1\) or half \(0\.5\) steps/);
+    expect(solveMarksBudget([], 10).feasible).toBe(false);
+    expect(solveMarksBudget([1], -3).feasible).toBe(false);
+  });
+});
+
+describe('validateBlueprint', () => {
+  const blueprint = part => ({ parts: [{ name: 'A', questionCount: 2, marksPerQuestion: 5, ...part }] });
+
+  test('fills in all types and levels by default', () => {
+    const { parts, totalMarks } = validateBlueprint(blueprint({}));
+    expect(parts[0].bloomLevels).toHaveLength(6);
+    expect(totalMarks).toBe(10);
+  });
+
+  test('explains questionTypes and bloomLevels that are not lists', () => {
+    expect(() => validateBlueprint(blueprint({ questionTypes: 'essay' }))).toThrow("Part 'A': questionTypes must list one or more of");
+    expect(() => validateBlueprint(blueprint({ bloomLevels: 'APPLY' }))).toThrow("Part 'A': bloomLevels must list one or more of");
+  });
+});
+
+describe('createSeededRandom', () => {
+  const draw = (random, count) => Array.from({ length: count }, () => random());
+
+  test('repeats the same numbers for the same seed', () => {
+    expect(draw(createSeededRandom('exam:A'), 5)).toEqual(draw(createSeededRandom('exam:A'), 5));
+  });
+
+  test('gives different numbers for a different seed, all in [0, 1)', () => {
+    const a = draw(createSeededRandom('exam:A'), 5);
+    const b = draw(createSeededRandom('exam:B'), 5);
+    expect(a).not.toEqual(b);
+    [...a, ...b].forEach(value => {
+      expect(value).toBeGreaterThanOrEqual(0);
+      expect(value).toBeLessThan(1);
+    });
+  });
+
+  describe('exam paper sets', () => {
+    const questions = Array.from({ length: 8 }, (_, i) => ({
+      id: `q${i}`,
+      type: i % 2 ? 'multiple-choice' : 'short-answer',
+      bloomLevel: ['REMEMBER', 'UNDERSTAND', 'APPLY', 'ANALYZE'][i % 4],
+      difficulty: 'medium',
+      content: `Question ${i}`,
+      options: i % 2 ? [`A${i}`, `B${i}`, `C${i}`, `D${i}`] : [],
+      correctAnswer: i % 2 ? `B${i}` : '',
+      marks: 2
+    }));
+    const layout = sets => sets.map(set => set.examPaper.parts.map(part =>
+      part.questions.map(q => `${q.id}:${(q.options || []).join('/')}`)));
+    const generateSets = seed => new AIQuestionGenerator().generateExamPaperSets(questions, {}, { count: 2, seed });
+
+    test('regenerates the same sets from the same seed', () => {
+      expect(layout(generateSets('midterm'))).toEqual(layout(generateSets('midterm')));
+    });
+
+    test('shuffles differently for another seed', () => {
+      expect(layout(generateSets('midterm'))).not.toEqual(layout(generateSets('final')));
+    });
+
+    test('keys each set to its own option order', () => {
+      generateSets('midterm').forEach(set => {
+        const placed = set.examPaper.parts.flatMap(part => part.questions);
+        set.answerKey.filter(entry => entry.type === 'multiple-choice').forEach(entry => {
+          const question = placed.find(q => q.number === entry.number);
+          expect(question.options[entry.correctOption.charCodeAt(0) - 65]).toBe(question.correctAnswer);
+        });
+      });
+    });
+  });
+});
+
+describe('parseSyllabus', () => {
+  test('reads units, weightages and topics from plain text', () => {
+    const text = 'Unit 1: Processes (40%)\n- Threads, scheduling\nUnit 2: Memory (60%)\nPaging; segmentation';
+    expect(parseSyllabus(text)).toEqual({
+      units: [
+        { name: 'Unit 1: Processes', topics: ['Threads', 'scheduling'], weightage: 40 },
+        { name: 'Unit 2: Memory', topics: ['Paging', 'segmentation'], weightage: 60 }
+      ]
+    });
+  });
+
+  test('shares the paper equally when no weightages are given', () => {
+    const { units } = parseSyllabus(['Processes', { name: 'Memory', topics: 'Paging, segmentation' }]);
+    expect(units.map(unit => unit.weightage)).toEqual([50, 50]);
+    expect(units[1].topics).toEqual(['Paging', 'segmentation']);
+  });
+
+  test('rejects syllabi it cannot use', () => {
+    expect(() => parseSyllabus('no units here')).toThrow('No units found in the syllabus');
+    expect(() => parseSyllabus([])).toThrow('The syllabus must list 1 to 20 units');
+    expect(() => parseSyllabus([{ name: 'A', weightage: 50 }, { name: 'B' }])).toThrow('Give a weightage for every unit or for none');
+    expect(() => parseSyllabus([{ name: 'A', weightage: 50 }, { name: 'B', weightage: 40 }])).toThrow('Unit weightages must add up to 100, not 90');
+    expect(() => parseSyllabus(['A', 'A'])).toThrow("Unit 'A' is listed twice");
+    expect(() => parseSyllabus([{ name: 'A', weightage: -10 }])).toThrow('must be a positive percentage');
+  });
+});
+
+describe('shingleSimilarity', () => {
+  const similarity = (a, b) => shingleSimilarity(questionShingles(a), questionShingles(b));
+
+  test('is 1 for the same question and 0 for unrelated ones', () => {
+    expect(similarity('What is a deadlock?', 'What is a deadlock?')).toBe(1);
+    expect(similarity('What is a deadlock?', 'Explain paging')).toBe(0);
+  });
+
+  test('scores reworded and reordered copies highly', () => {
+    expect(similarity('What is a deadlock in an operating system?', 'In an operating system, what is a deadlock?')).toBeCloseTo(2 / 3);
+  });
+
+  test('is 0 when either question has no content words', () => {
+    expect(shingleSimilarity(new Set(), questionShingles('What is a deadlock?'))).toBe(0);
+  });
+});
+
+describe('fillBlankAnswers', () => {
+  test('lists each blank of a cloze item with its alternatives', () => {
+    const question = { blanks: [{ answer: 'CPU', alternatives: ['cpu', 'Central Processing Unit'] }] };
+    expect(fillBlankAnswers(question)).toEqual([['CPU', 'Central Processing Unit']]);
+  });
+
+  test('accepts spelling variants of a plain correct answer', () => {
+    expect(fillBlankAnswers({ content: '_____ uses time slices.', correctAnswer: 'Round robin' }))
+      .toEqual([['Round robin', 'Round robins', 'Round-robin']]);
+  });
+
+  test('splits semicolon-separated answers across several blanks', () => {
+    expect(fillBlankAnswers({ content: 'A _____ is raised by a _____.', correctAnswer: 'page fault; process' }))
+      .toEqual([['page fault', 'page faults', 'page-fault'], ['process', 'processes']]);
+  });
+});
+
+describe('moodleClozeText', () => {
+  test('turns each blank into a SHORTANSWER subquestion sharing the marks', () => {
+    const question = {
+      content: 'A _____ is a _____ in execution.',
+      marks: 3,
+      blanks: [{ answer: 'process', alternatives: ['processes'] }, { answer: 'program', alternatives: [] }]
+    };
+    expect(moodleClozeText(question)).toBe('A {2:SHORTANSWER:=process~=processes} is a {1:SHORTANSWER:=program} in execution.');
+  });
+
+  test('escapes cloze syntax in answers', () => {
+    expect(moodleClozeText({ content: 'Use _____ here.', marks: 1, blanks: [{ answer: 'a}b~c#d' }] }))
+      .toBe('Use {1:SHORTANSWER:=a\\}b\\~c\\#d} here.');
+  });
+});
+
+describe('moodleQuestionXML', () => {
+  test('exports a short answer of a word or phrase as shortanswer', () => {
+    const xml = moodleQuestionXML({ type: 'short-answer', content: 'Name the scheduler.', correctAnswer: 'Round robin', marks: 2 }, 0);
+    expect(xml).toContain('<question type="shortanswer">');
+    expect(xml).toContain('<text>Round robin</text>');
+  });
+
+  test('exports a model-answer short answer as an essay graded by hand', () => {
+    const answer = 'Paging divides memory into frames, so a process need not be stored contiguously.';
+    const xml = moodleQuestionXML({ type: 'short-answer', content: 'Explain paging.', answer, marks: 4 }, 0);
+    expect(xml).toContain('<question type="essay">');
+    expect(xml).toContain(`<p>${answer}</p>`);
+    expect(xml).not.toContain('shortanswer');
+  });
+});
+
+describe('document sessions', () => {
+  let server;
+  let baseUrl;
+  beforeAll(done => {
+    server = app.listen(0, () => {
+      baseUrl = `http://127.0.0.1:${server.address().port}`;
+      done();
+    });
+  });
+  afterAll(done => {
+    server.close(done);
+  });
+
+  const docxForm = async (fileName, text) => {
+    const document = new Document({ sections: [{ children: [new Paragraph(text)] }] });
+    const form = new FormData();
+    form.append('document', new Blob([await Packer.toBuffer(document)], {
+      type: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document'
+    }), fileName);
+    return form;
+  };
+
+  test('lists a single upload and the documents added to it', async () => {
+    const logged = jest.spyOn(console, 'log').mockImplementation(() => {});
+    const uploaded = await fetch(`${baseUrl}/api/upload`, { method: 'POST', body: await docxForm('first.docx', 'Deadlock refers to a state of waiting forever.') });
+    const { sessionId } = await uploaded.json();
+    const listed = await (await fetch(`${baseUrl}/api/documents/${sessionId}`)).json();
+    const added = await fetch(`${baseUrl}/api/add-document/${sessionId}`, { method: 'POST', body: await docxForm('second.docx', 'Paging divides memory into frames.') });
+    const { totalDocuments } = await added.json();
+    const relisted = await (await fetch(`${baseUrl}/api/documents/${sessionId}`)).json();
+    await fetch(`${baseUrl}/api/sessions/${sessionId}`, { method: 'DELETE' });
+    logged.mockRestore();
+
+    expect(uploaded.status).toBe(200);
+    expect(listed.documents.map(document => document.fileName)).toEqual(['first.docx']);
+    expect(totalDocuments).toBe(2);
+    expect(relisted.documents.map(document => document.fileName)).toEqual(['first.docx', 'second.docx']);
+  });
+});
+
+describe('POST /api/generate-exam-paper', () => {
+  test('rejects bank question ids that are not a list', async () => {
+    const server = await new Promise(resolve => {
+      const listening = app.listen(0, () => resolve(listening));
+    });
+    const generator = new AIQuestionGenerator();
+    generator.content = 'Deadlock refers to a state in which processes wait for each other forever.';
+    const { sessionId } = await createSession(generator, { filePaths: [], multiDocument: false });
+    const response = await fetch(`http://127.0.0.1:${server.address().port}/api/generate-exam-paper`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ sessionId, examConfig: {}, bankQuestionIds: 'q1' })
+    });
+    const body = await response.json();
+    await new Promise(resolve => server.close(resolve));
+
+    expect(response.status).toBe(400);
+    expect(body.explanation).toBe('bankQuestionIds must be a list of question bank ids');
+  });
+});
+
+describe('GET /api/ai-status', () => {
+  test('checks the health of every provider', async () => {
+    const server = await new Promise(resolve => {
+      const listening = app.listen(0, () => resolve(listening));
+    });
+    const logged = jest.spyOn(console, 'log').mockImplementation(() => {});
+    const response = await fetch(`http://127.0.0.1:${server.address().port}/api/ai-status`);
+    const { providers } = await response.json();
+    logged.mockRestore();
+    await new Promise(resolve => server.close(resolve));
+
+    expect(providers.mock).toMatchObject({ configured: true, available: true, message: expect.stringContaining('Mock AI provider is ready') });
+    expect(providers.gemini).toMatchObject({ configured: false, available: false, message: expect.stringContaining('GEMINI_API_KEY') });
+    Object.values(providers).forEach(provider => expect(typeof provider.message).toBe('string'));
+  });
+});
+
+describe('AIQuestionGenerator.generateQuestions', () => {
+  test('reports types without a rule-based template when the AI provider fails', async () => {
+    const provider = { isConfigured: () => true };
+    const generator = new AIQuestionGenerator(provider);
+    generator.content = 'Deadlock refers to a state in which processes wait for each other forever.';
+    generator.generateChunkedAIQuestions = () => Promise.reject(new Error('quota exceeded'));
+    const logged = jest.spyOn(console, 'log').mockImplementation(() => {});
+    const result = generator.generateQuestions({ questionTypes: ['true-false'], bloomDistribution: { counts: { APPLY: 2 } } });
+    await expect(result).rejects.toMatchObject({
+      code: 'NO_RULE_BASED_TYPE',
+      message: expect.stringContaining('true-false questions cannot be written at the Apply level')
+    });
+    logged.mockRestore();
+  });
+});
+
+describe('POST /api/generate-questions', () => {
+  let server;
+  let baseUrl;
+  beforeAll(done => {
+    server = app.listen(0, () => {
+      baseUrl = `http://127.0.0.1:${server.address().port}`;
+      done();
+    });
+  });
+  afterAll(done => {
+    server.close(done);
+  });
+
+  const sampleContent = fs.readFileSync(path.join(__dirname, 'sample-content.txt'), 'utf8');
+  const generate = async (content, requirements) => {
+    const generator = new AIQuestionGenerator();
+    generator.content = content;
+    const { sessionId } = await createSession(generator, { filePaths: [], multiDocument: false });
+    const response = await fetch(`${baseUrl}/api/generate-questions`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ sessionId, requirements })
+    });
+    return { status: response.status, body: await response.json() };
+  };
+
+  test('explains when the material is too thin for multiple-choice only', async () => {
+    const logged = jest.spyOn(console, 'log').mockImplementation(() => {});
+    const { status, body } = await generate('Short note.', {
+      useAI: false,
+      questionTypes: ['multiple-choice'],
+      bloomDistribution: { counts: { REMEMBER: 2 } }
+    });
+    logged.mockRestore();
+    expect(status).toBe(400);
+    expect(body.error).toBe('Not enough material for the requested question types');
+    expect(body.explanation).toMatch(/too few facts and terms for a rule-based multiple-choice question/);
+  });
+
+  test('uses the default requirements when none are given', async () => {
+    const logged = jest.spyOn(console, 'log').mockImplementation(() => {});
+    const { status, body } = await generate(sampleContent);
+    logged.mockRestore();
+    expect(status).toBe(200);
+    expect(body.questions).toHaveLength(10);
+    body.questions.forEach(question => expect(question.type).toBe('multiple-choice'));
+  });
+
+  test.each(['two-part-50', 'three-part-100', 'objective-quiz-20'])('fills the built-in blueprint %s without AI', async name => {
+    const logged = jest.spyOn(console, 'log').mockImplementation(() => {});
+    const { status, body } = await generate(sampleContent, { useAI: false, blueprint: name });
+    logged.mockRestore();
+    expect(status).toBe(200);
+    expect(body.blueprint.name).toBe(name);
+    expect(body.questions.length).toBeGreaterThan(0);
+  });
+});